@@ -0,0 +1,112 @@
+const express = require("express");
+const cors = require("cors");
+const { validate, notFound, errorHandler, buildOpenApiDocument } = require("./lib/validation");
+const { getCollections } = require("./db");
+const { createAuthMiddleware } = require("./middleware/auth");
+const { createPaymentService } = require("./services/payments");
+const { createNotificationService } = require("./services/notifications");
+const { createEventService } = require("./services/events");
+const { createEmailService } = require("./services/email");
+const { createAuditService } = require("./services/audit");
+const { createStatsService } = require("./services/stats");
+const { createReportService } = require("./services/reports");
+const { createApplicationService } = require("./services/applications");
+const { createRoleService } = require("./services/roles");
+const { createAccountService } = require("./services/accounts");
+const { createConsoleTransport } = require("./services/emailTransports");
+const createUsersRouter = require("./routes/users");
+const createSearchRouter = require("./routes/search");
+const createRolesRouter = require("./routes/roles");
+const createRestaurantsRouter = require("./routes/restaurants");
+const createApplicationsRouter = require("./routes/applications");
+const createDonationsRouter = require("./routes/donations");
+const createRequestsRouter = require("./routes/requests");
+const createReviewsRouter = require("./routes/reviews");
+const createFavoritesRouter = require("./routes/favorites");
+const createPaymentsRouter = require("./routes/payments");
+const createNotificationsRouter = require("./routes/notifications");
+const createEventsRouter = require("./routes/events");
+const createAdminRouter = require("./routes/admin");
+const createSchedulesRouter = require("./routes/schedules");
+
+// Build the Express app around its dependencies:
+//  - db: a MongoDB Db (db.client is used for transactions)
+//  - auth: Firebase's admin.auth(): verifyIdToken (checkRevoked on admin routes), plus getUserByEmail, setCustomUserClaims
+//    and revokeRefreshTokens to keep the role claims in sync (see services/roles.js)
+//    and deleteUser for account deletion
+//  - payments: a payment provider, see services/stripePayments.js
+//  - emailTransport: where outbox emails go, see services/emailTransports.js (null leaves them queued)
+const createApp = ({ db, auth, payments, emailTransport = createConsoleTransport() }) => {
+  const app = express();
+
+  // keep the raw body around so Stripe webhook signatures can be verified
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
+  app.use(cors({ exposedHeaders: ["X-Total-Count", "X-Next-Cursor", "X-Unread-Count"] }));
+
+  const collections = getCollections(db);
+  const emailService = createEmailService({ collections });
+  const paymentService = createPaymentService({ collections, payments, emailService });
+  const notificationService = createNotificationService({ collections });
+  const auditService = createAuditService({ collections });
+  const roleService = createRoleService({ collections, auth });
+  const context = {
+    db,
+    collections,
+    payments,
+    emailTransport,
+    emailService,
+    middleware: createAuthMiddleware({ auth, collections, roleService }),
+    paymentService,
+    notificationService,
+    eventService: createEventService({ collections }),
+    auditService,
+    roleService,
+    accountService: createAccountService({ collections, auth, notificationService }),
+    applicationService: createApplicationService({
+      collections,
+      roleService,
+      paymentService,
+      notificationService,
+      emailService,
+      auditService,
+    }),
+    statsService: createStatsService({ collections }),
+    reportService: createReportService({ collections }),
+  };
+  // index.js needs the same services for the background jobs
+  app.locals.context = context;
+
+  app.use(createUsersRouter(context));
+  app.use(createSearchRouter(context));
+  app.use(createRolesRouter(context));
+  app.use(createRestaurantsRouter(context));
+  app.use(createApplicationsRouter(context));
+  app.use(createDonationsRouter(context));
+  app.use(createSchedulesRouter(context));
+  app.use(createRequestsRouter(context));
+  app.use(createReviewsRouter(context));
+  app.use(createFavoritesRouter(context));
+  app.use(createPaymentsRouter(context));
+  app.use(createNotificationsRouter(context));
+  app.use(createEventsRouter(context));
+  app.use(createAdminRouter(context));
+
+  app.get("/", validate("GET /"), (req, res) => {
+    res.send("🍽️ PlateShare API running...");
+  });
+
+  app.get("/openapi.json", validate("GET /openapi.json"), (req, res) => {
+    res.json(buildOpenApiDocument());
+  });
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,118 @@
+const { EVENT_RETENTION_SECONDS } = require("./services/events");
+const { upsertRestaurantFromApplication } = require("./lib/restaurants");
+const { parseQuantity } = require("./lib/quantity");
+const { ROLES } = require("./lib/roles");
+
+// Collection handles by name, so routes never call db.collection() themselves
+const getCollections = (db) => ({
+  users: db.collection("usersCollection"),
+  donations: db.collection("donations"),
+  restaurantRequests: db.collection("restaurantRequests"),
+  restaurants: db.collection("restaurants"),
+  roleRequests: db.collection("roleRequests"),
+  reviews: db.collection("reviews"),
+  requests: db.collection("requests"),
+  favorites: db.collection("favorites"),
+  transactions: db.collection("transactions"),
+  notifications: db.collection("notifications"),
+  events: db.collection("events"),
+  emailOutbox: db.collection("emailOutbox"),
+  auditLog: db.collection("auditLog"),
+  donationSchedules: db.collection("donationSchedules"),
+});
+
+// Indexes and one-off data fixes the routes rely on. Safe to run on every start.
+const ensureIndexes = async (collections) => {
+  const tasks = [
+    [collections.donations, { status: 1, pickupAt: 1 }],
+    // `location` stays the display address, `geo` holds the coordinates
+    [collections.donations, { geo: "2dsphere" }],
+    [collections.restaurantRequests, { geo: "2dsphere" }],
+    [collections.restaurants, { geo: "2dsphere" }],
+    [collections.restaurants, { ownerEmail: 1 }, { unique: true }],
+    [collections.donations, { restaurantId: 1, status: 1 }],
+    // the application review queue and "my application" lookups
+    [collections.roleRequests, { status: 1, createdAt: -1 }],
+    [collections.roleRequests, { email: 1, createdAt: -1 }],
+    [collections.restaurantRequests, { status: 1, createdAt: -1 }],
+    [collections.restaurantRequests, { ownerEmail: 1, createdAt: -1 }],
+    // one text index per collection, used by /search and /users/search
+    [collections.donations, { title: "text", foodType: "text" }, { name: "search_text" }],
+    [collections.restaurants, { restaurantName: "text", about: "text" }, { name: "search_text" }],
+    [collections.roleRequests, { organization: "text", mission: "text" }, { name: "search_text" }],
+    [collections.users, { name: "text", email: "text" }, { name: "search_text" }],
+    [collections.users, { roles: 1 }],
+    [collections.transactions, { transactionId: 1 }, { unique: true, sparse: true }],
+    [collections.notifications, { recipientEmail: 1, createdAt: -1 }],
+    // SSE replay buffer, old events drop out on their own
+    [collections.events, { createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_SECONDS }],
+    [collections.emailOutbox, { status: 1, nextAttemptAt: 1 }],
+    [collections.emailOutbox, { dedupeKey: 1 }, { unique: true, sparse: true }],
+    // one review per charity per donation
+    [collections.reviews, { donationId: 1, reviewerEmail: 1 }, { unique: true, partialFilterExpression: { reviewerEmail: { $exists: true } } }],
+    [collections.reviews, { restaurantEmail: 1, createdAt: -1 }],
+    [collections.auditLog, { createdAt: -1 }],
+    [collections.auditLog, { actorEmail: 1, createdAt: -1 }],
+    [collections.auditLog, { targetType: 1, targetId: 1, createdAt: -1 }],
+    [collections.donationSchedules, { restaurantEmail: 1, createdAt: -1 }],
+    [collections.donationSchedules, { status: 1 }],
+    // one donation per schedule and date, however often the scheduler runs
+    [collections.donations, { scheduleId: 1, occurrenceDate: 1 }, { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }],
+  ];
+
+  for (const [collection, keys, options] of tasks) {
+    await collection
+      .createIndex(keys, options)
+      .catch((err) => console.error(`❌ Failed to create index on ${collection.collectionName}:`, err));
+  }
+
+  // older donations only have the pickupTime string
+  await collections.donations
+    .updateMany(
+      { pickupAt: { $exists: false } },
+      [{ $set: { pickupAt: { $convert: { input: "$pickupTime", to: "date", onError: null, onNull: null } } } }]
+    )
+    .catch((err) => console.error("❌ Failed to backfill donation pickupAt:", err));
+
+  // users saved before they could hold several roles
+  await collections.users
+    .updateMany(
+      { roles: { $exists: false } },
+      [{ $set: { roles: { $cond: [{ $in: ["$role", ROLES] }, ["$role"], []] } } }]
+    )
+    .catch((err) => console.error("❌ Failed to backfill user roles:", err));
+
+  // restaurants approved before profiles existed, and donations posted before restaurantId
+  try {
+    const approved = await collections.restaurantRequests.find({ status: "Approved", restaurantId: { $exists: false } }).toArray();
+    for (const application of approved) {
+      const restaurant = await upsertRestaurantFromApplication(collections.restaurants, application);
+      await collections.restaurantRequests.updateOne({ _id: application._id }, { $set: { restaurantId: restaurant._id } });
+      await collections.donations.updateMany(
+        { restaurantEmail: restaurant.ownerEmail, restaurantId: { $exists: false } },
+        { $set: { restaurantId: restaurant._id } }
+      );
+    }
+  } catch (err) {
+    console.error("❌ Failed to backfill restaurant profiles:", err);
+  }
+
+  // donations posted when quantity was free text ("12 meals", "5 kg"). Ones that can't be read
+  // keep their text and no remainingQuantity, so they are still claimed as a whole.
+  try {
+    const textQuantities = await collections.donations.find({ quantity: { $type: "string" } }).toArray();
+    for (const donation of textQuantities) {
+      const quantity = parseQuantity(donation.quantity);
+      if (!quantity) continue;
+      const claimed = ["Accepted", "Picked Up"].includes(donation.status);
+      await collections.donations.updateOne(
+        { _id: donation._id, quantity: donation.quantity },
+        { $set: { quantity: quantity.amount, unit: quantity.unit, remainingQuantity: claimed ? 0 : quantity.amount } }
+      );
+    }
+  } catch (err) {
+    console.error("❌ Failed to backfill donation quantities:", err);
+  }
+};
+
+module.exports = { getCollections, ensureIndexes };
@@ -0,0 +1,100 @@
+const {
+  DONATION_TRANSITIONS,
+  OPEN_DONATION_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  SYSTEM_ACTOR,
+  transitionStatus,
+} = require("../lib/lifecycle");
+
+// How often the expiry sweeper runs when the server is long-lived (not on Vercel)
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Expire open donations whose pickup time has passed and cancel their open requests.
+// A donation that charities collected parts of is closed as picked up instead.
+// Takes the app context (see app.js) so the people involved get notified.
+const sweepExpiredDonations = async ({ collections, notificationService, eventService }, now = new Date()) => {
+  const { donations, requests } = collections;
+
+  const expiredDonations = await donations.find({
+    status: { $in: OPEN_DONATION_STATUSES },
+    $or: [
+      { pickupAt: { $lt: now } },
+      // older donations only have the pickupTime string
+      {
+        pickupAt: { $exists: false },
+        $expr: {
+          $lt: [{ $convert: { input: "$pickupTime", to: "date", onError: null, onNull: null } }, now],
+        },
+      },
+    ],
+  }).toArray();
+
+  let expiredCount = 0;
+  let partlyPickedUpCount = 0;
+  let cancelledRequests = 0;
+
+  for (const donation of expiredDonations) {
+    const donationIds = [donation._id.toString(), donation._id];
+    const collected = await requests.countDocuments({ donationId: { $in: donationIds }, status: "Picked Up" });
+    const transition = await transitionStatus(
+      donations, DONATION_TRANSITIONS, donation, collected ? "Picked Up" : "Expired", SYSTEM_ACTOR,
+      { note: collected ? "Pickup window passed, the rest went unclaimed" : "Pickup window passed" }
+    );
+    if (!transition.ok) continue;
+    if (collected) {
+      partlyPickedUpCount++;
+    } else {
+      expiredCount++;
+      await notificationService.notify(
+        donation.restaurantEmail, "donation.expired",
+        `Your donation "${donation.title}" expired before it was picked up`,
+        { donationId: donation._id }
+      );
+    }
+
+    const reason = "Donation expired before pickup";
+    const openRequestsFilter = {
+      donationId: { $in: donationIds },
+      status: { $in: OPEN_REQUEST_STATUSES },
+    };
+    const openRequests = await requests.find(openRequestsFilter).toArray();
+    const result = await requests.updateMany(
+      openRequestsFilter,
+      [
+        {
+          $set: {
+            statusHistory: {
+              $concatArrays: [
+                { $ifNull: ["$statusHistory", []] },
+                [{ status: "Cancelled", from: "$status", by: null, role: "system", at: now, note: reason }],
+              ],
+            },
+          },
+        },
+        { $set: { status: "Cancelled", cancellationReason: reason, expired: true, updatedAt: now } },
+      ]
+    );
+    cancelledRequests += result.modifiedCount;
+
+    for (const request of openRequests) {
+      await eventService.publish("request.status_changed", {
+        requestId: request._id,
+        donationId: request.donationId,
+        from: request.status,
+        status: "Cancelled",
+        reason,
+      }, {
+        emails: [request.charityEmail, request.restaurantEmail || donation.restaurantEmail],
+      });
+      await notificationService.notify(
+        request.charityEmail, "request.cancelled",
+        `Your request for "${donation.title}" was cancelled: ${reason.toLowerCase()}`,
+        { requestId: request._id, donationId: donation._id }
+      );
+    }
+  }
+
+  return { expiredCount, partlyPickedUpCount, cancelledRequests };
+};
+
+module.exports = { EXPIRY_SWEEP_INTERVAL_MS, sweepExpiredDonations };
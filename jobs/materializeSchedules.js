@@ -0,0 +1,68 @@
+const { SYSTEM_ACTOR } = require("../lib/lifecycle");
+const { buildDonation } = require("../lib/donations");
+const { upcomingOccurrences } = require("../lib/schedules");
+
+// How often schedules are checked when the server is long-lived (not on Vercel)
+const SCHEDULE_RUN_INTERVAL_MS = Number(process.env.SCHEDULE_RUN_INTERVAL_MS) || 15 * 60 * 1000;
+// How long before the food is ready an occurrence is posted, so charities can plan the pickup
+const SCHEDULE_LEAD_TIME_MS = Number(process.env.SCHEDULE_LEAD_TIME_MS) || 3 * 60 * 60 * 1000;
+
+// Post the donations of active schedules whose next occurrence is coming up.
+// Safe to run as often as you like: one donation per schedule and date (unique index).
+const materializeDonationSchedules = async ({ collections, eventService }, now = new Date()) => {
+  const { donationSchedules, donations, restaurants } = collections;
+
+  const schedules = await donationSchedules.find({ status: "Active" }).toArray();
+  let createdCount = 0;
+  let inactiveRestaurants = 0;
+
+  for (const schedule of schedules) {
+    // the restaurant was deactivated (role revoked) or its owner deleted their account
+    const restaurant = await restaurants.findOne({ _id: schedule.restaurantId, status: "Active" });
+    if (!restaurant) {
+      inactiveRestaurants++;
+      continue;
+    }
+
+    for (const occurrence of upcomingOccurrences(schedule, restaurant, now)) {
+      if (occurrence.readyAt - now > SCHEDULE_LEAD_TIME_MS || occurrence.pickupAt <= now) continue;
+
+      const donation = {
+        ...buildDonation(
+          restaurant,
+          {
+            ...schedule,
+            quantity: { amount: schedule.quantity, unit: schedule.unit },
+            pickupTime: occurrence.pickupAt.toISOString(),
+            geo: schedule.geo || restaurant.geo,
+          },
+          SYSTEM_ACTOR
+        ),
+        readyAt: occurrence.readyAt,
+        scheduleId: schedule._id,
+        occurrenceDate: occurrence.date,
+      };
+
+      try {
+        await donations.insertOne(donation);
+      } catch (err) {
+        // posted by an earlier run
+        if (err.code === 11000) continue;
+        throw err;
+      }
+      createdCount++;
+
+      const { statusHistory, ...summary } = donation;
+      await eventService.publish("donation.created", summary, {
+        emails: [restaurant.ownerEmail],
+        roles: ["charity", "admin"],
+      });
+    }
+
+    await donationSchedules.updateOne({ _id: schedule._id }, { $set: { lastRunAt: now } });
+  }
+
+  return { schedulesChecked: schedules.length, createdCount, inactiveRestaurants };
+};
+
+module.exports = { SCHEDULE_RUN_INTERVAL_MS, SCHEDULE_LEAD_TIME_MS, materializeDonationSchedules };
@@ -0,0 +1,88 @@
+// How often the outbox worker runs when the server is long-lived (not on Vercel)
+const EMAIL_WORKER_INTERVAL_MS = Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 60 * 1000;
+// After this many failed attempts a message is marked failed for good
+const MAX_EMAIL_ATTEMPTS = 6;
+// Retry delays double from one minute up to an hour
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A message stuck in "sending" this long (crashed worker) is picked up again
+const SENDING_LOCK_MS = 5 * 60 * 1000;
+// Messages delivered per run
+const EMAIL_BATCH_SIZE = 50;
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Deliver due outbox messages through the app's email transport (see app.js).
+// Without a transport (production with none configured) everything stays queued.
+const deliverQueuedEmails = async ({ collections, emailTransport }, now = new Date()) => {
+  if (!emailTransport) {
+    return { sent: 0, retried: 0, failed: 0, skipped: "No email transport configured" };
+  }
+  const { emailOutbox } = collections;
+  const from = process.env.EMAIL_FROM || "PlateShare <no-reply@plateshare.app>";
+
+  let sent = 0;
+  let retried = 0;
+  let failed = 0;
+
+  for (let i = 0; i < EMAIL_BATCH_SIZE; i++) {
+    // claim one message at a time so parallel workers never send the same one
+    const message = await emailOutbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lt: now } },
+        ],
+      },
+      { $set: { status: "sending", lockedUntil: new Date(now.getTime() + SENDING_LOCK_MS) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!message) break;
+
+    try {
+      const { messageId } = await emailTransport.send({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+      await emailOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: { status: "sent", messageId, sentAt: new Date() },
+          $inc: { attempts: 1 },
+          $unset: { lockedUntil: "" },
+        }
+      );
+      sent++;
+    } catch (err) {
+      const attempts = message.attempts + 1;
+      const permanent = Boolean(err.permanent) || attempts >= MAX_EMAIL_ATTEMPTS;
+      await emailOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: permanent ? "failed" : "queued",
+            attempts,
+            lastError: err.message,
+            ...(permanent
+              ? { failedAt: new Date() }
+              : { nextAttemptAt: new Date(now.getTime() + retryDelay(attempts)) }),
+          },
+          $unset: { lockedUntil: "" },
+        }
+      );
+      if (permanent) {
+        console.error(`❌ Email ${message._id} to ${message.to} failed permanently:`, err.message);
+        failed++;
+      } else {
+        retried++;
+      }
+    }
+  }
+
+  return { sent, retried, failed };
+};
+
+module.exports = { EMAIL_WORKER_INTERVAL_MS, MAX_EMAIL_ATTEMPTS, deliverQueuedEmails };
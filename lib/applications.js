@@ -0,0 +1,69 @@
+// ============================
+//  ROLE APPLICATIONS
+// ============================
+
+// Charity and restaurant applications share one workflow; this is what differs between them
+const APPLICATION_KINDS = {
+  charity: {
+    collection: "roleRequests",
+    applicantField: "email",
+    nameField: "organization",
+    role: "charity",
+    targetType: "roleRequest",
+    eventPrefix: "role_request",
+  },
+  restaurant: {
+    collection: "restaurantRequests",
+    applicantField: "ownerEmail",
+    nameField: "restaurantName",
+    role: "restaurant",
+    targetType: "restaurantRequest",
+    eventPrefix: "restaurant_request",
+  },
+};
+
+const APPLICATION_STATUSES = ["Pending", "Needs Info", "Approved", "Rejected", "Revoked"];
+
+// Same shape as the lifecycle tables in lifecycle.js. Admins review,
+// the applicant moves Needs Info / Rejected back to Pending by resubmitting.
+const APPLICATION_TRANSITIONS = {
+  Pending: {
+    "Needs Info": ["admin"],
+    Approved: ["admin"],
+    Rejected: ["admin"],
+  },
+  "Needs Info": {
+    Pending: ["applicant"],
+    Approved: ["admin"],
+    Rejected: ["admin"],
+  },
+  Approved: {
+    Revoked: ["admin"],
+  },
+  Rejected: {
+    Pending: ["applicant"],
+  },
+  Revoked: {},
+};
+
+// The applicant has to be told why
+const STATUSES_NEEDING_REASON = ["Needs Info", "Rejected", "Revoked"];
+
+// An applicant can hold one of these per kind; after a revocation they apply again from scratch
+const CURRENT_APPLICATION_STATUSES = ["Pending", "Needs Info", "Approved", "Rejected"];
+
+// Reviewer notes are for admins only
+const APPLICANT_PROJECTION = { reviewNotes: 0 };
+
+// "Needs Info" => "needs_info", for audit actions, notification types and email templates
+const statusSlug = (status) => status.toLowerCase().replace(/ /g, "_");
+
+module.exports = {
+  APPLICATION_KINDS,
+  APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  STATUSES_NEEDING_REASON,
+  CURRENT_APPLICATION_STATUSES,
+  APPLICANT_PROJECTION,
+  statusSlug,
+};
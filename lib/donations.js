@@ -0,0 +1,30 @@
+const { toPickupDate, statusHistoryEntry } = require("./lifecycle");
+
+// ============================
+//  NEW DONATIONS
+// ============================
+
+// The donation document for a restaurant's new donation, posted by hand (POST /donations)
+// or from a recurring schedule. `quantity` is already parsed ({ amount, unit }, see quantity.js).
+const buildDonation = (restaurant, { title, foodType, quantity, pickupTime, location, geo, imageUrl, description }, actor) => ({
+  title,
+  foodType,
+  quantity: quantity.amount,
+  unit: quantity.unit,
+  // charities claim parts of it, see PATCH /requests/:id
+  remainingQuantity: quantity.amount,
+  pickupTime,
+  pickupAt: toPickupDate(pickupTime),
+  restaurantId: restaurant._id,
+  restaurantName: restaurant.restaurantName,
+  restaurantEmail: restaurant.ownerEmail,
+  location,
+  ...(geo && { geo }),
+  imageUrl: imageUrl || null,
+  ...(description && { description }),
+  status: "Pending", // default
+  statusHistory: [statusHistoryEntry("Pending", actor)],
+  createdAt: new Date(),
+});
+
+module.exports = { buildDonation };
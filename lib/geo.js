@@ -0,0 +1,17 @@
+// GeoJSON point from lat/lng (Mongo wants [lng, lat]), or null when missing/invalid
+const toGeoPoint = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === "" || lng === undefined || lng === null || lng === "") {
+    return null;
+  }
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Nearby search radius when the client doesn't send one, and the upper limit
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 100;
+
+module.exports = { toGeoPoint, DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM };
@@ -0,0 +1,27 @@
+const { parseQuantity } = require("./quantity");
+
+// ============================
+//  IMPACT ESTIMATES
+// ============================
+
+// Rough conversion factors for reports, not measurements:
+// one meal is about 0.54 kg of food (1.2 lb, the Feeding America figure) and every
+// kg of food kept out of landfill avoids about 2.5 kg of CO₂-equivalent emissions.
+const KG_PER_MEAL = 0.54;
+const CO2E_KG_PER_FOOD_KG = 2.5;
+
+const WEIGHT_UNITS_IN_KG = { kg: 1, g: 0.001, lb: 0.4536 };
+
+// { meals, weightKg, co2eKg } for an amount in a unit (see quantity.js). Older donations
+// only have free text like "5 kg", pass that as the amount. Zeros when there's nothing to read.
+const estimateImpact = (amount, unit) => {
+  const quantity = typeof amount === "number" ? { amount, unit } : parseQuantity(amount);
+  if (!quantity) return { meals: 0, weightKg: 0, co2eKg: 0 };
+
+  const kgPerUnit = WEIGHT_UNITS_IN_KG[quantity.unit];
+  const weightKg = kgPerUnit ? quantity.amount * kgPerUnit : quantity.amount * KG_PER_MEAL;
+  const meals = kgPerUnit ? Math.floor(weightKg / KG_PER_MEAL) : quantity.amount;
+  return { meals, weightKg, co2eKg: weightKg * CO2E_KG_PER_FOOD_KG };
+};
+
+module.exports = { KG_PER_MEAL, CO2E_KG_PER_FOOD_KG, estimateImpact };
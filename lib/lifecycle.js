@@ -0,0 +1,144 @@
+const { ObjectId } = require("mongodb");
+
+// ============================
+//  DONATION / REQUEST LIFECYCLE
+// ============================
+
+// Allowed status transitions and the roles that may make them.
+// "system" is used when a route changes a status as a side effect.
+const DONATION_TRANSITIONS = {
+  Pending: {
+    Verified: ["admin"],
+    Expired: ["system", "admin"],
+    Cancelled: ["restaurant", "admin"],
+  },
+  Verified: {
+    Requested: ["system"],
+    "Picked Up": ["system"], // the parts charities claimed were collected, the rest went unclaimed
+    Expired: ["system", "admin"],
+    Cancelled: ["restaurant", "admin"],
+  },
+  Requested: {
+    Verified: ["system"], // every open request was rejected or withdrawn
+    Accepted: ["system"],
+    "Picked Up": ["system"],
+    Expired: ["system", "admin"],
+    Cancelled: ["restaurant", "admin"],
+  },
+  Accepted: {
+    "Picked Up": ["system"],
+    Expired: ["system", "admin"],
+    Cancelled: ["restaurant", "admin"],
+  },
+  "Picked Up": {},
+  Expired: {},
+  Cancelled: {},
+};
+
+const REQUEST_TRANSITIONS = {
+  Pending: {
+    Accepted: ["restaurant"],
+    Rejected: ["restaurant", "system"], // system: another request for the donation was accepted
+    Cancelled: ["system"], // system: the donation expired
+  },
+  Accepted: {
+    "Picked Up": ["restaurant"], // the restaurant confirms the handoff with the charity's pickup code
+    Cancelled: ["system"],
+  },
+  Rejected: {},
+  "Picked Up": {},
+  Cancelled: {},
+};
+
+// Donation statuses a charity can still send a request for
+const REQUESTABLE_DONATION_STATUSES = ["Verified", "Requested"];
+
+// Donation statuses that still have a pickup ahead of them
+const OPEN_DONATION_STATUSES = ["Pending", "Verified", "Requested", "Accepted"];
+
+// Request statuses that still have a pickup ahead of them
+const OPEN_REQUEST_STATUSES = ["Pending", "Accepted"];
+
+const SYSTEM_ACTOR = { email: null, role: "system" };
+
+// pickupTime comes from the client as a string; keep a real Date next to it
+const toPickupDate = (pickupTime) => {
+  const date = new Date(pickupTime);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// request.donationId is stored as a string by the client
+const toDonationId = (donationId) =>
+  ObjectId.isValid(donationId) ? new ObjectId(donationId) : donationId;
+
+const statusHistoryEntry = (status, actor, from = null, note = null) => ({
+  status,
+  from,
+  by: actor.email || null,
+  role: actor.role,
+  at: new Date(),
+  ...(note && { note }),
+});
+
+// Move a donation or request to a new status if the lifecycle allows it for this actor.
+// The update only applies if the status hasn't changed since `doc` was read.
+// options: { note, set (extra fields to $set), session }
+const transitionStatus = async (collection, transitions, doc, to, actor, options = {}) => {
+  const { note = null, set = {}, session } = options;
+  const from = doc.status;
+  const allowedRoles = transitions[from]?.[to];
+
+  if (!allowedRoles) {
+    return { ok: false, code: 400, message: `Cannot change status from "${from}" to "${to}"` };
+  }
+  // users with several roles act in whichever one is allowed
+  const role = [actor.role, ...(actor.roles || [])].find((name) => allowedRoles.includes(name));
+  if (!role) {
+    return { ok: false, code: 403, message: `A ${actor.role} cannot change status from "${from}" to "${to}"` };
+  }
+
+  const now = new Date();
+  const result = await collection.updateOne(
+    { _id: doc._id, status: from },
+    {
+      $set: { ...set, status: to, updatedAt: now },
+      $push: { statusHistory: statusHistoryEntry(to, { ...actor, role }, from, note) },
+    },
+    { session }
+  );
+
+  if (!result.matchedCount) {
+    return { ok: false, code: 409, message: "Status was changed by someone else, please retry" };
+  }
+  return { ok: true, from, to };
+};
+
+// Once a donation's last pending request is gone, make it available again.
+// Accepted requests don't hold it back: whatever they didn't claim can still be requested.
+const releaseDonationIfUnclaimed = async ({ donations, requests }, donationId) => {
+  const pendingRequests = await requests.countDocuments({ donationId, status: "Pending" });
+  if (pendingRequests) return;
+
+  const donation = await donations.findOne({ _id: toDonationId(donationId) });
+  if (donation?.status === "Requested") {
+    await transitionStatus(donations, DONATION_TRANSITIONS, donation, "Verified", SYSTEM_ACTOR);
+  }
+};
+
+const isTransactionConflict = (err) =>
+  err?.code === 112 || err?.hasErrorLabel?.("TransientTransactionError");
+
+module.exports = {
+  DONATION_TRANSITIONS,
+  REQUEST_TRANSITIONS,
+  REQUESTABLE_DONATION_STATUSES,
+  OPEN_DONATION_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  SYSTEM_ACTOR,
+  toPickupDate,
+  toDonationId,
+  statusHistoryEntry,
+  transitionStatus,
+  releaseDonationIfUnclaimed,
+  isTransactionConflict,
+};
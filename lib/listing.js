@@ -0,0 +1,251 @@
+const { BSON } = require("mongodb");
+const { toPickupDate } = require("./lifecycle");
+
+// ============================
+//  LIST QUERIES (pagination, filters, sorting)
+// ============================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Listing configs: which ?sort= values exist and whether ?pickupFrom/?pickupTo apply
+const DONATION_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+    pickup: { field: "pickupAt", direction: 1 },
+    quantity: { field: "quantity", direction: -1 },
+  },
+  pickupField: "pickupAt",
+};
+const REQUEST_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+    oldest: { field: "createdAt", direction: 1 },
+  },
+};
+const NOTIFICATION_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+  },
+};
+const RESTAURANT_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+    name: { field: "restaurantName", direction: 1 },
+  },
+  filterFields: ["foodType"],
+};
+// the admin queue spans both application collections, see aggregatePage
+const APPLICATION_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+    oldest: { field: "createdAt", direction: 1 },
+  },
+  filterFields: ["kind", "status"],
+};
+// ?from/?to apply to dateField, filterFields replace the shared ones below
+const AUDIT_LOG_LISTING = {
+  sorts: {
+    newest: { field: "createdAt", direction: -1 },
+    oldest: { field: "createdAt", direction: 1 },
+  },
+  filterFields: ["actorEmail", "action", "targetType", "targetId"],
+  dateField: "createdAt",
+};
+
+// ?filter=value equality filters shared by every listing (comma separated => any of)
+const LIST_FILTER_FIELDS = ["foodType", "status", "restaurantEmail"];
+
+// Cursors are opaque to clients: the last item's sort value and _id, EJSON + base64url
+const encodeCursor = (doc, field) =>
+  Buffer.from(BSON.EJSON.stringify({ v: doc[field] ?? null, id: doc._id })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = BSON.EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return id ? { value: v, id } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// { $gte, $lte } for two date params, or { error }
+const parseDateRange = (query, fromParam, toParam) => {
+  const range = {};
+  for (const [param, operator] of [[fromParam, "$gte"], [toParam, "$lte"]]) {
+    if (!query[param]) continue;
+    const date = toPickupDate(query[param]);
+    if (!date) return { error: `${param} must be a valid date` };
+    range[operator] = date;
+  }
+  return { range };
+};
+
+// Turn ?limit, ?cursor, ?sort and filter params into a Mongo filter/sort.
+// Returns { error } for anything the listing doesn't support.
+const parseListQuery = (query, listing) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sortName = query.sort || "newest";
+  const sort = listing.sorts[sortName];
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(listing.sorts).join(", ")}` };
+  }
+
+  const filter = {};
+  for (const field of listing.filterFields || LIST_FILTER_FIELDS) {
+    if (typeof query[field] === "string" && query[field]) {
+      const values = query[field].split(",").map((value) => value.trim()).filter(Boolean);
+      filter[field] = values.length > 1 ? { $in: values } : values[0];
+    }
+  }
+
+  if (query.pickupFrom || query.pickupTo) {
+    if (!listing.pickupField) {
+      return { error: "pickupFrom/pickupTo are not supported here" };
+    }
+    const { range, error } = parseDateRange(query, "pickupFrom", "pickupTo");
+    if (error) return { error };
+    filter[listing.pickupField] = range;
+  }
+
+  if (query.from || query.to) {
+    if (!listing.dateField) {
+      return { error: "from/to are not supported here" };
+    }
+    const { range, error } = parseDateRange(query, "from", "to");
+    if (error) return { error };
+    filter[listing.dateField] = range;
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return { filter, sort, limit, cursor };
+};
+
+// How Mongo orders values of different types when sorting (a missing field sorts as null).
+// $gt / $lt only compare within one type, so a page boundary has to step across the rest.
+const SORT_TYPE_ORDER = ["null", "number", "string", "object", "objectId", "bool", "date"];
+
+const sortTypeOf = (value) => {
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Date) return "date";
+  if (value._bsontype === "ObjectId") return "objectId";
+  if (typeof value === "boolean") return "bool";
+  return typeof value;
+};
+
+// Only the documents after the cursor, in sort order. Sort fields can hold more than one
+// type (no pickupAt on older donations, quantity text from older clients).
+const afterCursor = (query, { field, direction }, cursor) => {
+  if (!cursor) return query;
+  const past = direction === 1 ? "$gt" : "$lt";
+  const rank = SORT_TYPE_ORDER.indexOf(sortTypeOf(cursor.value));
+  const typesPast = SORT_TYPE_ORDER.filter((type, i) => (direction === 1 ? i > rank : i < rank));
+  return {
+    $and: [
+      query,
+      {
+        $or: [
+          ...(cursor.value === null ? [] : [{ [field]: { [past]: cursor.value } }]),
+          { [field]: cursor.value, _id: { [past]: cursor.id } },
+          ...typesPast.map((type) => (type === "null" ? { [field]: null } : { [field]: { $type: type } })),
+        ],
+      },
+    ],
+  };
+};
+
+// fetched limit + 1 items => the page and its next cursor
+const toPage = (items, total, { sort, limit }) => {
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort.field) : null,
+  };
+};
+
+// One page of results plus the total count and the cursor for the next page.
+// options: { projection }
+const findPage = async (collection, baseFilter, listQuery, { projection } = {}) => {
+  const { filter, sort, limit, cursor } = listQuery;
+  const { field, direction } = sort;
+  const query = { ...baseFilter, ...filter };
+
+  const total = await collection.countDocuments(query);
+
+  const items = await collection
+    .find(afterCursor(query, sort, cursor), { projection })
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1)
+    .toArray();
+
+  return toPage(items, total, listQuery);
+};
+
+// Same as findPage, for listings built by an aggregation (e.g. $unionWith over two collections).
+// The filter and cursor apply to the pipeline's output.
+const aggregatePage = async (collection, pipeline, baseFilter, listQuery) => {
+  const { filter, sort, limit, cursor } = listQuery;
+  const { field, direction } = sort;
+  const query = { ...baseFilter, ...filter };
+
+  const [result] = await collection.aggregate([
+    ...pipeline,
+    { $match: query },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        items: [
+          { $match: afterCursor({}, sort, cursor) },
+          { $sort: { [field]: direction, _id: direction } },
+          { $limit: limit + 1 },
+        ],
+      },
+    },
+  ]).toArray();
+
+  return toPage(result.items, result.total[0]?.count || 0, listQuery);
+};
+
+// Send a page as a plain array, with the count/cursor in headers
+const sendPage = (res, page) => {
+  res.set("X-Total-Count", String(page.total));
+  if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+  res.json(page.items);
+};
+
+// Listings hide expired items unless ?includeExpired=true
+const includeExpired = (req) => req.query.includeExpired === "true";
+
+// Open items whose pickup time has passed. The expiry sweep expires them, but it may not have
+// run yet (background jobs, see index.js), so listings leave them out in the meantime.
+const notPastPickup = (openStatuses, now = new Date()) => ({
+  $nor: [{ status: { $in: openStatuses }, pickupAt: { $lt: now } }],
+});
+
+module.exports = {
+  DONATION_LISTING,
+  REQUEST_LISTING,
+  NOTIFICATION_LISTING,
+  AUDIT_LOG_LISTING,
+  RESTAURANT_LISTING,
+  APPLICATION_LISTING,
+  parseDateRange,
+  parseListQuery,
+  findPage,
+  aggregatePage,
+  sendPage,
+  includeExpired,
+  notPastPickup,
+};
@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+
+// ============================
+//  PICKUP HANDOFF CODES
+// ============================
+
+// Once its request is accepted, the charity gets a one-time code from
+// POST /requests/:id/pickup-code and shows it at the restaurant, which enters it to
+// confirm the handoff. Only a hash is stored; the code itself is never emailed or kept.
+const PICKUP_CODE_LENGTH = 6;
+const PICKUP_CODE_TTL_MS = Number(process.env.PICKUP_CODE_TTL_MS) || 24 * 60 * 60 * 1000;
+const MAX_PICKUP_CODE_ATTEMPTS = 5;
+
+// The hash is guessable offline from a 6 digit code, so it never leaves the server
+const PICKUP_CODE_PROJECTION = { pickupCode: 0 };
+
+// bound to the request, so a code only works for the request it was issued for
+const hashPickupCode = (requestId, code) =>
+  crypto.createHash("sha256").update(`${requestId}:${code}`).digest("hex");
+
+// What the restaurant's scanner reads; it carries the same code the charity can read out
+const pickupQrPayload = (requestId, code) => `plateshare://pickup?request=${requestId}&code=${code}`;
+
+// A new code for an accepted request => { code, qrPayload, expiresAt, pickupCode (to store) }
+const issuePickupCode = (requestId, now = new Date()) => {
+  const code = String(crypto.randomInt(0, 10 ** PICKUP_CODE_LENGTH)).padStart(PICKUP_CODE_LENGTH, "0");
+  const expiresAt = new Date(now.getTime() + PICKUP_CODE_TTL_MS);
+  return {
+    code,
+    qrPayload: pickupQrPayload(requestId, code),
+    expiresAt,
+    pickupCode: { hash: hashPickupCode(requestId, code), issuedAt: now, expiresAt, attempts: 0 },
+  };
+};
+
+// Same { ok, code, message } shape as transitionStatus. `pickupCode` is the stored one,
+// read after this attempt was counted.
+const checkPickupCode = (requestId, pickupCode, code, now = new Date()) => {
+  if (!pickupCode) {
+    return { ok: false, code: 409, message: "No pickup code was issued for this request, the charity has to get one first" };
+  }
+  if (pickupCode.expiresAt < now) {
+    return { ok: false, code: 410, message: "This pickup code expired, the charity has to get a new one" };
+  }
+
+  const expected = Buffer.from(pickupCode.hash, "hex");
+  const given = Buffer.from(hashPickupCode(requestId, code), "hex");
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = MAX_PICKUP_CODE_ATTEMPTS - pickupCode.attempts;
+    return {
+      ok: false,
+      code: left > 0 ? 400 : 429,
+      message: left > 0
+        ? `Wrong pickup code, ${left} attempt${left === 1 ? "" : "s"} left`
+        : "Wrong pickup code, no attempts left: the charity has to get a new one",
+    };
+  }
+  return { ok: true };
+};
+
+module.exports = {
+  PICKUP_CODE_TTL_MS,
+  MAX_PICKUP_CODE_ATTEMPTS,
+  PICKUP_CODE_PROJECTION,
+  issuePickupCode,
+  checkPickupCode,
+};
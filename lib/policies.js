@@ -0,0 +1,27 @@
+const { hasRole } = require("./roles");
+
+// A policy gets the actor ({ email, role, roles }), the loaded resources and the request,
+// and says whether the actor may act on them. Routes list the policies that apply.
+const policies = {
+  admin: (actor) => hasRole(actor, "admin"),
+  // the restaurant that posted the donation
+  donationOwner: (actor, { donation }) =>
+    hasRole(actor, "restaurant") && Boolean(donation) && donation.restaurantEmail === actor.email,
+  // the charity that made the request
+  requestCharity: (actor, { request }) =>
+    hasRole(actor, "charity") && Boolean(request) && request.charityEmail === actor.email,
+  // the restaurant on the other side of a request (owner of the requested donation)
+  requestRestaurant: (actor, { donation }) =>
+    hasRole(actor, "restaurant") && Boolean(donation) && donation.restaurantEmail === actor.email,
+  favoriteOwner: (actor, { favorite }) => Boolean(favorite) && favorite.ownerEmail === actor.email,
+  restaurantOwner: (actor, { restaurant }) => Boolean(restaurant) && restaurant.ownerEmail === actor.email,
+  // the restaurant whose recurring donation it is
+  scheduleOwner: (actor, { schedule }) =>
+    hasRole(actor, "restaurant") && Boolean(schedule) && schedule.restaurantEmail === actor.email,
+  // the charity that wrote the review
+  reviewAuthor: (actor, { review }) => Boolean(review) && review.reviewerEmail === actor.email,
+  // the :email route param is the caller's own
+  self: (actor, resources, req) => req.params.email === actor.email,
+};
+
+module.exports = policies;
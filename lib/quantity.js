@@ -0,0 +1,51 @@
+// ============================
+//  DONATION QUANTITIES
+// ============================
+
+// Units a donation can be measured in. Weights convert to meals in impact.js,
+// everything else counts as one meal per unit.
+const QUANTITY_UNITS = ["portions", "meals", "items", "kg", "g", "lb"];
+const DEFAULT_QUANTITY_UNIT = "portions";
+
+// Spellings found in the old free-text quantities
+const UNIT_ALIASES = { portion: "portions", meal: "meals", item: "items", kgs: "kg", lbs: "lb" };
+
+// "12", "12 meals", "5 kg", "3.5lbs" => { amount, unit }, or null if there's no number to read.
+// `fallbackUnit` is for text without a unit.
+const parseQuantity = (text, fallbackUnit = DEFAULT_QUANTITY_UNIT) => {
+  const match = String(text ?? "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)/);
+  if (!match) return null;
+
+  const unit = match[2] ? UNIT_ALIASES[match[2]] ?? match[2] : fallbackUnit;
+  return {
+    amount: Number(match[1]),
+    unit: QUANTITY_UNITS.includes(unit) ? unit : DEFAULT_QUANTITY_UNIT,
+  };
+};
+
+// Body quantity (a number, or text from older clients) + unit => { amount, unit }, or null.
+// The unit is `unit`, else the one in the text ("5 kg"), else `fallbackUnit` (an edit keeps
+// the unit it had).
+const toQuantity = (quantity, unit, fallbackUnit) => {
+  const otherwise = fallbackUnit || DEFAULT_QUANTITY_UNIT;
+  if (typeof quantity === "number") {
+    return quantity > 0 ? { amount: quantity, unit: unit || otherwise } : null;
+  }
+  const parsed = parseQuantity(quantity, otherwise);
+  if (!parsed || parsed.amount <= 0) return null;
+  return unit ? { ...parsed, unit } : parsed;
+};
+
+// For a body quantity toQuantity can't read
+const INVALID_QUANTITY_MESSAGE = "Quantity must be a number above zero, optionally followed by a unit (e.g. 12 or \"5 kg\")";
+
+const formatQuantity = (amount, unit) => (unit ? `${amount} ${unit}` : String(amount ?? ""));
+
+module.exports = {
+  QUANTITY_UNITS,
+  DEFAULT_QUANTITY_UNIT,
+  INVALID_QUANTITY_MESSAGE,
+  parseQuantity,
+  toQuantity,
+  formatQuantity,
+};
@@ -0,0 +1,46 @@
+// ============================
+//  RESTAURANT PROFILES
+// ============================
+
+// What an owner may change on their restaurant profile through PATCH /restaurants/:id
+const RESTAURANT_EDITABLE_FIELDS = [
+  "about",
+  "location",
+  "openingTime",
+  "closingTime",
+  "foodType",
+  "imageUrl",
+  "restaurantEmail",
+  "phone",
+];
+
+// The profile fields an approved application carries over to the restaurants collection
+const restaurantFromApplication = (application) => ({
+  ownerEmail: application.ownerEmail,
+  restaurantName: application.restaurantName,
+  about: application.about,
+  location: application.location,
+  ...(application.geo && { geo: application.geo }),
+  openingTime: application.openingTime,
+  closingTime: application.closingTime,
+  foodType: application.foodType,
+  imageUrl: application.imageUrl || null,
+  restaurantEmail: application.restaurantEmail,
+  phone: application.phone,
+  applicationId: application._id,
+});
+
+// Approving an application creates the owner's restaurant, or refreshes it on re-approval
+const upsertRestaurantFromApplication = async (restaurants, application) => {
+  const now = new Date();
+  return restaurants.findOneAndUpdate(
+    { ownerEmail: application.ownerEmail },
+    {
+      $set: { ...restaurantFromApplication(application), status: "Active", updatedAt: now },
+      $setOnInsert: { rating: { average: null, count: 0 }, createdAt: now },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+};
+
+module.exports = { RESTAURANT_EDITABLE_FIELDS, upsertRestaurantFromApplication };
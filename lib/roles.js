@@ -0,0 +1,20 @@
+// ============================
+//  ROLES
+// ============================
+
+// Roles a user can hold, any number of them at once. Everyone without one is a plain "user".
+// The order decides the main role kept in users.role for clients that only read one.
+const ROLES = ["admin", "restaurant", "charity"];
+
+// users.roles, or the single `role` of users saved before there could be several
+const userRoles = (user) => {
+  if (Array.isArray(user?.roles)) return user.roles;
+  return ROLES.includes(user?.role) ? [user.role] : [];
+};
+
+const primaryRole = (roles) => ROLES.find((role) => roles.includes(role)) || "user";
+
+// actor: { email, role, roles } as built by the auth middleware
+const hasRole = (actor, role) => actor.role === role || Boolean(actor.roles?.includes(role));
+
+module.exports = { ROLES, userRoles, primaryRole, hasRole };
@@ -0,0 +1,149 @@
+// ============================
+//  RECURRING DONATION SCHEDULES
+// ============================
+
+// A schedule is a donation template plus a recurrence rule:
+//   recurrence: { days: ["mon", ..., "fri"], time: "21:30" }  => weekdays at 21:30
+//   recurrence: { days: ["sun"] }                             => every Sunday, opening to closing time
+// Each occurrence becomes a donation that's ready at `time` (else the restaurant's openingTime)
+// and has to be picked up by the restaurant's closingTime. Times are local to `timezone`.
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const SCHEDULE_STATUSES = ["Active", "Paused"];
+
+// The template fields copied onto every donation of the series
+const SCHEDULE_TEMPLATE_FIELDS = ["title", "foodType", "quantity", "unit", "location", "imageUrl", "description"];
+
+// For schedules created without a timezone
+const DEFAULT_SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "UTC";
+
+// Without a closing time to go by, the pickup window is this long
+const DEFAULT_PICKUP_WINDOW_MINUTES = 2 * 60;
+
+// "21:30", "9:30 pm", "9pm", "09.30" => minutes after midnight, or null.
+// openingTime / closingTime are free text on the restaurant profile.
+const parseTimeOfDay = (text) => {
+  const match = String(text ?? "").trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.[0];
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "p" ? 12 : 0);
+  } else if (!match[2]) {
+    // a bare "9" could be morning or evening
+    return null;
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall clock fields of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter(({ type }) => type !== "literal").map(({ type, value }) => [type, Number(value)]));
+};
+
+// The local calendar date ("YYYY-MM-DD") of `date` in `timeZone`
+const localDate = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return [year, month, day].map((n, i) => String(n).padStart(i ? 2 : 4, "0")).join("-");
+};
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (isoDate) => WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+
+// The instant when the wall clock in `timeZone` reads `isoDate` + `minutes`
+const zonedDateTime = (isoDate, minutes, timeZone) => {
+  const wallClock = new Date(`${isoDate}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+  // twice, in case the first guess lands on the other side of a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+// When an occurrence's food is ready and when it has to be picked up by, in minutes
+// after midnight (pickupBy past midnight when the restaurant closes after it).
+// Returns an error message instead when the restaurant's hours don't allow it.
+const pickupWindow = (recurrence, restaurant) => {
+  const opening = parseTimeOfDay(restaurant?.openingTime);
+  const closing = parseTimeOfDay(restaurant?.closingTime);
+  const readyAt = recurrence.time ? parseTimeOfDay(recurrence.time) : opening;
+
+  if (readyAt === null) {
+    return { error: "Give the schedule a time, or set an opening time on your restaurant profile that can be read (e.g. 10:00)" };
+  }
+  if (closing === null) {
+    return { readyAt, pickupBy: readyAt + DEFAULT_PICKUP_WINDOW_MINUTES };
+  }
+
+  // restaurants that close after midnight
+  const closesAt = opening !== null && closing <= opening ? closing + 24 * 60 : closing;
+  const ready = opening !== null && readyAt < opening && closesAt > 24 * 60 ? readyAt + 24 * 60 : readyAt;
+  if ((opening !== null && ready < opening) || ready >= closesAt) {
+    return { error: `${recurrence.time} is outside your opening hours (${restaurant.openingTime} to ${restaurant.closingTime})` };
+  }
+  return { readyAt: ready, pickupBy: closesAt };
+};
+
+// The series' occurrences from yesterday to tomorrow (local to the schedule) that aren't
+// skipped or outside startDate / endDate => [{ date, readyAt, pickupAt }]
+const upcomingOccurrences = (schedule, restaurant, now = new Date()) => {
+  const window = pickupWindow(schedule.recurrence, restaurant);
+  if (window.error) return [];
+
+  const today = localDate(now, schedule.timezone);
+  const occurrences = [];
+  for (const offset of [-1, 0, 1]) {
+    const date = addDays(today, offset);
+    if (!schedule.recurrence.days.includes(weekdayOf(date))) continue;
+    if ((schedule.skipDates || []).includes(date)) continue;
+    if (schedule.startDate && date < schedule.startDate) continue;
+    if (schedule.endDate && date > schedule.endDate) continue;
+
+    occurrences.push({
+      date,
+      readyAt: zonedDateTime(date, window.readyAt, schedule.timezone),
+      pickupAt: zonedDateTime(date, window.pickupBy, schedule.timezone),
+    });
+  }
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  SCHEDULE_STATUSES,
+  SCHEDULE_TEMPLATE_FIELDS,
+  DEFAULT_SCHEDULE_TIMEZONE,
+  parseTimeOfDay,
+  isValidTimezone,
+  pickupWindow,
+  upcomingOccurrences,
+};
@@ -0,0 +1,793 @@
+// Request schemas for every route, keyed by "METHOD /path".
+// Used by validate() in validation.js and published as /openapi.json.
+// Bodies use additionalProperties: false, so unknown fields are stripped before the handler runs.
+const { NOTIFICATION_TYPES } = require("../services/notifications");
+const { STATS_BUCKETS } = require("../services/stats");
+const { APPLICATION_KINDS } = require("./applications");
+const { ROLES } = require("./roles");
+const { QUANTITY_UNITS } = require("./quantity");
+const { WEEKDAYS, SCHEDULE_STATUSES } = require("./schedules");
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$", description: "MongoDB ObjectId" };
+const email = { type: "string", format: "email", maxLength: 254 };
+const text = (maxLength = 200) => ({ type: "string", minLength: 1, maxLength });
+const optionalText = (maxLength = 200) => ({ type: ["string", "null"], maxLength });
+const latitude = { type: "number", minimum: -90, maximum: 90 };
+const longitude = { type: "number", minimum: -180, maximum: 180 };
+
+const idParams = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+const emailParams = {
+  type: "object",
+  properties: { email },
+  required: ["email"],
+};
+const emailQuery = {
+  type: "object",
+  properties: { email },
+  required: ["email"],
+};
+const searchQuery = {
+  type: "object",
+  properties: { q: { type: "string", maxLength: 100 } },
+};
+
+const includeExpired = {
+  type: "string",
+  enum: ["true", "false"],
+  description: "Include expired donations / requests for expired donations, and open ones whose pickup time has passed",
+};
+
+// ?limit, ?cursor, ?sort and filters shared by the paginated listings
+const listQuery = (sorts, { pickupRange = false } = {}) => ({
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+    sort: { type: "string", enum: sorts },
+    foodType: { type: "string", description: "Comma separated => any of" },
+    status: { type: "string", description: "Comma separated => any of" },
+    restaurantEmail: { type: "string" },
+    ...(pickupRange && {
+      pickupFrom: { type: "string", description: "Earliest pickup time (date)" },
+      pickupTo: { type: "string", description: "Latest pickup time (date)" },
+    }),
+    includeExpired,
+  },
+});
+const donationListQuery = listQuery(["newest", "pickup", "quantity"], { pickupRange: true });
+const requestListQuery = listQuery(["newest", "oldest"]);
+
+// ?from/?to (and ?bucket) for /admin/stats
+const statsRange = {
+  from: { type: "string", description: "Start of the range (date)" },
+  to: { type: "string", description: "End of the range (date)" },
+};
+const statsBucketQuery = {
+  type: "object",
+  properties: {
+    ...statsRange,
+    bucket: { type: "string", enum: STATS_BUCKETS, default: "day" },
+  },
+};
+
+const restaurantProfileFields = {
+  about: text(2000),
+  location: text(300),
+  openingTime: text(50),
+  closingTime: text(50),
+  foodType: text(100),
+  imageUrl: optionalText(2000),
+  restaurantEmail: email,
+  phone: text(50),
+  lat: latitude,
+  lng: longitude,
+};
+
+// Application review decisions (admin). reason is shown to the applicant, note is internal.
+const reviewerNote = text(2000);
+const applicationReviewFields = {
+  reason: { ...text(1000), description: "Shown to the applicant, required for Needs Info, Rejected and Revoked" },
+  note: { ...reviewerNote, description: "Internal reviewer note, never shown to the applicant" },
+};
+const applicationReviewBody = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["Needs Info", "Approved", "Rejected", "Revoked"] },
+    ...applicationReviewFields,
+  },
+  required: ["status"],
+  additionalProperties: false,
+};
+const applicationParams = {
+  type: "object",
+  properties: { kind: { type: "string", enum: Object.keys(APPLICATION_KINDS) }, id: objectId },
+  required: ["kind", "id"],
+};
+
+const roleRequestBody = {
+  type: "object",
+  properties: {
+    email,
+    name: text(),
+    organization: text(),
+    mission: text(2000),
+    transactionId: text(),
+  },
+  required: ["email", "name", "organization", "mission", "transactionId"],
+  additionalProperties: false,
+};
+
+const donationFields = {
+  title: text(),
+  foodType: text(100),
+  quantity: {
+    type: ["number", "string"],
+    exclusiveMinimum: 0,
+    minLength: 1,
+    maxLength: 100,
+    description: "Amount in `unit`. Text like \"5 kg\" from older clients is still read.",
+  },
+  unit: { type: "string", enum: QUANTITY_UNITS },
+  pickupTime: text(100),
+  location: text(300),
+  imageUrl: optionalText(2000),
+  description: optionalText(2000),
+  lat: latitude,
+  lng: longitude,
+};
+
+const isoDate = { type: "string", format: "date", description: "YYYY-MM-DD, local to the schedule's timezone" };
+
+const scheduleFields = {
+  title: donationFields.title,
+  foodType: donationFields.foodType,
+  quantity: donationFields.quantity,
+  unit: donationFields.unit,
+  location: donationFields.location,
+  imageUrl: donationFields.imageUrl,
+  description: donationFields.description,
+  lat: latitude,
+  lng: longitude,
+  recurrence: {
+    type: "object",
+    properties: {
+      days: { type: "array", items: { type: "string", enum: WEEKDAYS }, minItems: 1, uniqueItems: true },
+      time: {
+        type: "string",
+        pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+        description: "When the food is ready (HH:MM). Without it, the restaurant's openingTime.",
+      },
+    },
+    required: ["days"],
+    additionalProperties: false,
+  },
+  timezone: { type: "string", maxLength: 64, description: "IANA timezone the times and dates are in, e.g. Asia/Dhaka" },
+  startDate: { ...isoDate, type: ["string", "null"] },
+  endDate: { ...isoDate, type: ["string", "null"] },
+};
+
+module.exports = {
+  "GET /": { summary: "Health check", tags: ["meta"], auth: false },
+  "GET /openapi.json": { summary: "This document", tags: ["meta"], auth: false },
+
+  // users
+  "POST /users": {
+    summary: "Register a user",
+    tags: ["users"],
+    auth: false,
+    body: {
+      type: "object",
+      properties: { name: text(), email, profileLink: optionalText(2000) },
+      required: ["name", "email"],
+      additionalProperties: false,
+    },
+  },
+  "GET /users": { summary: "List all users (admin)", tags: ["users"] },
+  "GET /users/charities": { summary: "List charity users", tags: ["users"] },
+  "GET /users/search": { summary: "Search users by name or email (admin)", tags: ["users"], query: searchQuery },
+  "PATCH /users/me": {
+    summary: "Update your name or profile link",
+    tags: ["users"],
+    body: {
+      type: "object",
+      properties: { name: text(), profileLink: optionalText(2000) },
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+  "GET /users/me/export": {
+    summary: "Export all your data as JSON",
+    description: "Profile, favorites, reviews, requests, applications, restaurant, transactions, donations and notifications.",
+    tags: ["users"],
+  },
+  "DELETE /users/me": {
+    summary: "Delete your account",
+    description: "Personal data is removed; donations, requests, reviews, applications and payments are kept anonymized. Refused while you have accepted pickups in progress.",
+    tags: ["users"],
+  },
+  "GET /users/:email": { summary: "Get your own profile", tags: ["users"], params: emailParams },
+  "GET /users/:id/role": { summary: "Get a user by id", tags: ["users"], auth: false, params: idParams },
+  "PATCH /users/:id/role": {
+    summary: "Change a user's roles (admin)",
+    description: "roles replaces every role the user holds; role (user, or one role) is kept for older clients. Removing a role signs the user out of their sessions. The restaurant role is only granted by approving a restaurant application.",
+    tags: ["users"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: {
+        role: { type: "string", enum: ["user", ...ROLES] },
+        roles: { type: "array", items: { type: "string", enum: ROLES }, uniqueItems: true },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  "GET /search": {
+    summary: "Search donations, restaurants and charities",
+    tags: ["search"],
+    auth: false,
+    query: { ...searchQuery, required: ["q"] },
+  },
+
+  // payments
+  "POST /stripe/webhook": {
+    summary: "Stripe webhook (verified with the Stripe-Signature header)",
+    tags: ["payments"],
+    auth: false,
+  },
+  "POST /create-payment-intent": {
+    summary: "Create a PaymentIntent priced from the server catalog",
+    tags: ["payments"],
+    body: {
+      type: "object",
+      properties: { purpose: { type: "string", enum: ["charity-role"], default: "charity-role" } },
+      additionalProperties: false,
+    },
+  },
+  "POST /transactions": {
+    summary: "Confirm a payment with Stripe and record it",
+    tags: ["payments"],
+    body: {
+      type: "object",
+      properties: { transactionId: text(), purpose: { type: "string", enum: ["charity-role"] } },
+      required: ["transactionId"],
+      additionalProperties: false,
+    },
+  },
+
+  // charity role requests
+  "GET /charity-requests/status": { summary: "Pending/approved charity request status", tags: ["role requests"], query: emailQuery },
+  "POST /charity-requests": { summary: "Apply for the charity role", tags: ["role requests"], body: roleRequestBody },
+  "GET /role-requests/status": { summary: "Pending/approved charity request status", tags: ["role requests"], query: emailQuery },
+  "POST /role-requests": { summary: "Apply for the charity role", tags: ["role requests"], body: roleRequestBody },
+  "GET /role-requests": { summary: "List charity role requests (admin)", tags: ["role requests"] },
+  "GET /role-requests/my-requests": { summary: "Your charity role requests", tags: ["role requests"] },
+  "DELETE /role-requests/:id": { summary: "Withdraw a pending role request", tags: ["role requests"], params: idParams },
+  "PUT /role-requests/:id": {
+    summary: "Update and resubmit your role request after Needs Info or a rejection",
+    description: "A rejected request had its fee refunded, so resubmitting it needs a new transactionId.",
+    tags: ["role requests"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { name: text(), organization: text(), mission: text(2000), transactionId: text() },
+      additionalProperties: false,
+    },
+  },
+  "PATCH /role-requests/:id": {
+    summary: "Ask for more info, approve, reject or revoke a role request (admin)",
+    tags: ["role requests"],
+    params: idParams,
+    body: applicationReviewBody,
+  },
+
+  // restaurant applications
+  "POST /restaurant-requests": {
+    summary: "Apply to become a restaurant",
+    tags: ["restaurant requests"],
+    body: {
+      type: "object",
+      properties: { ...restaurantProfileFields, restaurantName: text(), ownerEmail: email },
+      required: ["restaurantName", "about", "location", "openingTime", "closingTime", "foodType", "ownerEmail", "restaurantEmail", "phone"],
+      additionalProperties: false,
+    },
+  },
+  "GET /restaurant-requests": { summary: "List restaurant applications (admin)", tags: ["restaurant requests"], query: requestListQuery },
+  "PUT /restaurant-requests/:id": {
+    summary: "Update and resubmit your restaurant application after Needs Info or a rejection",
+    tags: ["restaurant requests"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { ...restaurantProfileFields, restaurantName: text() },
+      additionalProperties: false,
+    },
+  },
+  "PATCH /restaurant-requests/:id": {
+    summary: "Approve, ask for more info, reject or revoke a restaurant application (admin)",
+    description: "Without a body the application is approved.",
+    tags: ["restaurant requests"],
+    params: idParams,
+    body: {
+      ...applicationReviewBody,
+      properties: { ...applicationReviewBody.properties, status: { ...applicationReviewBody.properties.status, default: "Approved" } },
+    },
+  },
+  "DELETE /restaurant-requests/:id": {
+    summary: "Reject a restaurant application (admin)",
+    description: "Same as PATCH with status Rejected; the application is kept.",
+    tags: ["restaurant requests"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: applicationReviewFields,
+      required: ["reason"],
+      additionalProperties: false,
+    },
+  },
+  "GET /restaurant-requests/owner/:email": { summary: "Restaurant application by owner", tags: ["restaurant requests"], params: emailParams },
+  "GET /restaurant/reports": {
+    summary: "Impact report of your picked-up donations (restaurant)",
+    tags: ["restaurant requests"],
+    query: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "Earliest pickup (date)" },
+        to: { type: "string", description: "Latest pickup (date)" },
+        format: { type: "string", enum: ["csv", "pdf"], default: "csv" },
+      },
+    },
+  },
+
+  // applications (charity + restaurant)
+  "GET /applications/me": { summary: "Your charity and restaurant applications", tags: ["applications"] },
+  "GET /admin/applications": {
+    summary: "Review queue of charity and restaurant applications (admin)",
+    description: "Pending and Needs Info applications unless ?status is given.",
+    tags: ["applications"],
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+        sort: { type: "string", enum: ["newest", "oldest"] },
+        kind: { type: "string", description: "charity or restaurant, comma separated => any of" },
+        status: { type: "string", description: "Comma separated => any of" },
+      },
+    },
+  },
+  "GET /admin/applications/:kind/:id": {
+    summary: "An application with its history and reviewer notes (admin)",
+    tags: ["applications"],
+    params: applicationParams,
+  },
+  "PATCH /admin/applications/:kind/:id": {
+    summary: "Ask for more info, approve, reject or revoke an application (admin)",
+    tags: ["applications"],
+    params: applicationParams,
+    body: applicationReviewBody,
+  },
+  "POST /admin/applications/:kind/:id/notes": {
+    summary: "Add an internal reviewer note (admin)",
+    tags: ["applications"],
+    params: applicationParams,
+    body: {
+      type: "object",
+      properties: { note: reviewerNote },
+      required: ["note"],
+      additionalProperties: false,
+    },
+  },
+
+  // restaurant profiles
+  "GET /restaurants": {
+    summary: "List restaurants",
+    tags: ["restaurants"],
+    auth: false,
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+        sort: { type: "string", enum: ["newest", "name"] },
+        foodType: { type: "string", description: "Comma separated => any of" },
+      },
+    },
+  },
+  "GET /restaurants/me": { summary: "Your restaurant profile (restaurant)", tags: ["restaurants"] },
+  "GET /restaurants/:id": {
+    summary: "A restaurant's public page with its current donations, pickups and rating",
+    description: "Only active restaurants, unless an admin's token is sent.",
+    tags: ["restaurants"],
+    auth: false,
+    params: idParams,
+  },
+  "PATCH /restaurants/:id": {
+    summary: "Edit a restaurant profile (owner or admin)",
+    tags: ["restaurants"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: restaurantProfileFields,
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+
+  // donations
+  "GET /donations": { summary: "List donations", tags: ["donations"], auth: false, query: donationListQuery },
+  "GET /donations/admin": { summary: "List all donations (admin)", tags: ["donations"], query: donationListQuery },
+  "GET /donations/nearby": {
+    summary: "Available donations near a point, closest first",
+    tags: ["donations"],
+    auth: false,
+    query: {
+      type: "object",
+      properties: {
+        lat: latitude,
+        lng: longitude,
+        radiusKm: { type: "number", exclusiveMinimum: 0, maximum: 100, default: 10 },
+      },
+      required: ["lat", "lng"],
+    },
+  },
+  "GET /donations/restaurant/:email": { summary: "A restaurant's donations", tags: ["donations"], params: emailParams },
+  "GET /donations/:id": { summary: "A donation with its reviews", tags: ["donations"], auth: false, params: idParams },
+  "POST /donations": {
+    summary: "Post a donation (restaurant)",
+    tags: ["donations"],
+    body: {
+      type: "object",
+      properties: donationFields,
+      required: ["title", "foodType", "quantity", "pickupTime", "location"],
+      additionalProperties: false,
+    },
+  },
+  "PUT /donations/:id": {
+    summary: "Edit a donation (owner or admin)",
+    description: "Only open donations can be edited, not ones that were picked up, expired or were cancelled.",
+    tags: ["donations"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: donationFields,
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+  "PATCH /donations/:id/status": {
+    summary: "Move a donation through its lifecycle",
+    tags: ["donations"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["Verified", "Expired", "Cancelled"] },
+        note: optionalText(500),
+      },
+      required: ["status"],
+      additionalProperties: false,
+    },
+  },
+  "DELETE /donations/:id": {
+    summary: "Delete a donation (owner or admin)",
+    description: "A donation charities have requested is cancelled instead and their pending requests are rejected. Refused while a pickup is accepted.",
+    tags: ["donations"],
+    params: idParams,
+  },
+  "POST /admin/expire-donations": { summary: "Expire donations past their pickup time (admin)", tags: ["donations"] },
+
+  // recurring donations
+  "POST /donation-schedules": {
+    summary: "Set up a recurring donation (restaurant)",
+    description: "Each occurrence is posted as a donation shortly before it's ready and has to be picked up by the restaurant's closingTime.",
+    tags: ["schedules"],
+    body: {
+      type: "object",
+      properties: scheduleFields,
+      required: ["title", "foodType", "quantity", "recurrence"],
+      additionalProperties: false,
+    },
+  },
+  "GET /donation-schedules": { summary: "Your recurring donations (restaurant)", tags: ["schedules"] },
+  "GET /donation-schedules/:id": {
+    summary: "A recurring donation with the donations it posted (owner or admin)",
+    tags: ["schedules"],
+    params: idParams,
+  },
+  "PATCH /donation-schedules/:id": {
+    summary: "Edit, pause or resume a recurring donation (owner)",
+    description: "Applies to donations posted from now on.",
+    tags: ["schedules"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { ...scheduleFields, status: { type: "string", enum: SCHEDULE_STATUSES } },
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+  "DELETE /donation-schedules/:id": { summary: "End a recurring donation (owner or admin)", tags: ["schedules"], params: idParams },
+  "POST /donation-schedules/:id/skips": {
+    summary: "Skip one date of a recurring donation (owner)",
+    tags: ["schedules"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { date: isoDate },
+      required: ["date"],
+      additionalProperties: false,
+    },
+  },
+  "DELETE /donation-schedules/:id/skips/:date": {
+    summary: "Un-skip a date (owner)",
+    tags: ["schedules"],
+    params: {
+      type: "object",
+      properties: { id: objectId, date: isoDate },
+      required: ["id", "date"],
+    },
+  },
+  "POST /admin/run-donation-schedules": {
+    summary: "Post the recurring donations that are due (admin)",
+    tags: ["schedules"],
+  },
+
+  // reviews
+  "POST /reviews": {
+    summary: "Review a donation you picked up (charity)",
+    tags: ["reviews"],
+    body: {
+      type: "object",
+      properties: {
+        donationId: objectId,
+        description: text(2000),
+        rating: { type: "integer", minimum: 1, maximum: 5 },
+      },
+      required: ["donationId", "description", "rating"],
+      additionalProperties: false,
+    },
+  },
+  "GET /reviews/restaurant/:email": {
+    summary: "A restaurant's rating and reviews",
+    tags: ["reviews"],
+    auth: false,
+    params: emailParams,
+  },
+  "PATCH /reviews/:id": {
+    summary: "Edit your review",
+    tags: ["reviews"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: {
+        description: text(2000),
+        rating: { type: "integer", minimum: 1, maximum: 5 },
+      },
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+  "DELETE /reviews/:id": {
+    summary: "Delete your review (or any review, admin)",
+    description: "A review hidden by a moderator is kept without its text, so it can't be posted again.",
+    tags: ["reviews"],
+    params: idParams,
+  },
+  "POST /reviews/:id/report": {
+    summary: "Report a review for moderation",
+    tags: ["reviews"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { reason: text(500) },
+      required: ["reason"],
+      additionalProperties: false,
+    },
+  },
+  "GET /admin/reviews/reported": { summary: "Reported reviews awaiting moderation (admin)", tags: ["reviews"] },
+  "PATCH /admin/reviews/:id": {
+    summary: "Hide, restore or dismiss reports on a review (admin)",
+    tags: ["reviews"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: {
+        action: { type: "string", enum: ["hide", "restore", "dismiss"] },
+        note: optionalText(500),
+      },
+      required: ["action"],
+      additionalProperties: false,
+    },
+  },
+
+  // favorites
+  "POST /favorites": {
+    summary: "Save a donation to your favorites",
+    tags: ["favorites"],
+    body: {
+      type: "object",
+      properties: {
+        donationId: objectId,
+        title: optionalText(),
+        restaurantName: optionalText(),
+        location: optionalText(300),
+        status: optionalText(50),
+        quantity: { type: ["string", "number", "null"] },
+        imageUrl: optionalText(2000),
+      },
+      required: ["donationId"],
+      additionalProperties: false,
+    },
+  },
+  "GET /favorites/:email": { summary: "Your favorites", tags: ["favorites"], params: emailParams },
+  "DELETE /favorites/:id": { summary: "Remove a favorite", tags: ["favorites"], params: idParams },
+
+  // charity requests for donations
+  "POST /requests": {
+    summary: "Request a donation (charity)",
+    tags: ["requests"],
+    body: {
+      type: "object",
+      properties: {
+        donationId: objectId,
+        donationTitle: optionalText(),
+        restaurantName: optionalText(),
+        charityName: optionalText(),
+        charityImage: optionalText(2000),
+        requestDescription: optionalText(2000),
+        pickupTime: optionalText(100),
+        quantity: { type: "number", exclusiveMinimum: 0, description: "How much of the donation you need, all that's left by default" },
+      },
+      required: ["donationId"],
+      additionalProperties: false,
+    },
+  },
+  "GET /requests": {
+    summary: "Your donation requests (charity)",
+    tags: ["requests"],
+    query: { type: "object", properties: { includeExpired } },
+  },
+  "GET /requests/public": { summary: "All donation requests", tags: ["requests"], query: requestListQuery },
+  "GET /restaurant/requests": {
+    summary: "Requests for your donations (restaurant)",
+    tags: ["requests"],
+    query: { type: "object", properties: { includeExpired } },
+  },
+  "DELETE /requests/:id": { summary: "Cancel a pending request (charity)", tags: ["requests"], params: idParams },
+  "PATCH /requests/:id": {
+    summary: "Accept or reject a request (restaurant)",
+    tags: ["requests"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["Accepted", "Rejected"] },
+        note: optionalText(500),
+      },
+      required: ["status"],
+      additionalProperties: false,
+    },
+  },
+  "POST /requests/:id/pickup-code": {
+    summary: "Get a pickup code for your accepted request (charity)",
+    description: "The code isn't emailed, the charity fetches it here once the request is accepted. Each call replaces the previous code. Returns the code and the QR payload to show at the restaurant.",
+    tags: ["requests"],
+    params: idParams,
+  },
+  "PATCH /requests/:id/pickup": {
+    summary: "Confirm a pickup with the charity's code (restaurant)",
+    tags: ["requests"],
+    params: idParams,
+    body: {
+      type: "object",
+      properties: { code: { type: "string", pattern: "^[0-9]{6}$", description: "The charity's pickup code, or the code from its QR payload" } },
+      required: ["code"],
+      additionalProperties: false,
+    },
+  },
+
+  // notifications
+  "GET /notifications": {
+    summary: "Your notifications, newest first (unread count in X-Unread-Count)",
+    tags: ["notifications"],
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+        unread: { type: "string", enum: ["true", "false"], description: "Only unread notifications" },
+      },
+    },
+  },
+  "GET /notifications/unread-count": { summary: "Your unread notification count", tags: ["notifications"] },
+  "GET /notifications/preferences": { summary: "Which notification types you receive", tags: ["notifications"] },
+  "PUT /notifications/preferences": {
+    summary: "Turn notification types on or off",
+    tags: ["notifications"],
+    body: {
+      type: "object",
+      properties: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])),
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  },
+  "PATCH /notifications/read-all": { summary: "Mark all your notifications as read", tags: ["notifications"] },
+  "PATCH /notifications/:id/read": { summary: "Mark a notification as read", tags: ["notifications"], params: idParams },
+
+  // admin
+  "GET /admin/emails": {
+    summary: "Email outbox (admin)",
+    tags: ["admin"],
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+        sort: { type: "string", enum: ["newest", "oldest"] },
+        status: { type: "string", description: "queued, sending, sent or failed (comma separated => any of)" },
+      },
+    },
+  },
+  "POST /admin/send-emails": { summary: "Deliver queued emails now (admin)", tags: ["admin"] },
+  "GET /admin/stats/donations": {
+    summary: "Donations posted, picked up and expired over time (admin)",
+    tags: ["admin"],
+    query: statsBucketQuery,
+  },
+  "GET /admin/stats/leaderboard": {
+    summary: "Top restaurants and charities by completed pickups (admin)",
+    tags: ["admin"],
+    query: {
+      type: "object",
+      properties: { ...statsRange, limit: { type: "integer", minimum: 1, maximum: 100, default: 10 } },
+    },
+  },
+  "GET /admin/stats/requests": {
+    summary: "Request acceptance rate and median time to pickup (admin)",
+    tags: ["admin"],
+    query: { type: "object", properties: statsRange },
+  },
+  "GET /admin/stats/revenue": {
+    summary: "Role-fee revenue, net of refunds (admin)",
+    tags: ["admin"],
+    query: statsBucketQuery,
+  },
+  "GET /admin/audit-log": {
+    summary: "Audit log of admin and moderation actions (admin)",
+    tags: ["admin"],
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        cursor: { type: "string", maxLength: 512, description: "X-Next-Cursor from the previous page" },
+        sort: { type: "string", enum: ["newest", "oldest"] },
+        actorEmail: { type: "string", description: "Comma separated => any of" },
+        action: { type: "string", description: "e.g. user.role_changed (comma separated => any of)" },
+        targetType: { type: "string", description: "user, roleRequest, restaurantRequest, donation, ..." },
+        targetId: { type: "string" },
+        from: { type: "string", description: "Earliest entry (date)" },
+        to: { type: "string", description: "Latest entry (date)" },
+      },
+    },
+  },
+
+  // real-time events
+  "GET /events": {
+    summary: "Server-Sent Events stream for your role and email",
+    description: "Events: request.created, request.status_changed, donation.created, donation.picked_up. "
+      + "Send Last-Event-ID (or ?lastEventId=) on reconnect to receive missed events first.",
+    tags: ["events"],
+    query: {
+      type: "object",
+      properties: {
+        access_token: { type: "string", description: "Firebase ID token, for clients that can't set headers (EventSource)" },
+        lastEventId: { type: "string", description: "Id of the last event received" },
+      },
+    },
+  },
+};
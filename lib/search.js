@@ -0,0 +1,38 @@
+const MAX_SEARCH_LENGTH = 100;
+const SEARCH_RESULTS_PER_TYPE = 10;
+
+// ?q= as a plain string, or null if missing/too long/not a string
+const parseSearchQuery = (q) => {
+  if (typeof q !== "string") return null;
+  const trimmed = q.trim();
+  if (!trimmed || trimmed.length > MAX_SEARCH_LENGTH) return null;
+  return trimmed;
+};
+
+// Escape user input before it goes anywhere near a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Which of `fields` contain a search term, with [start, end) offsets of each hit.
+// $text doesn't report this, so it's worked out on the returned documents.
+const findHighlights = (doc, fields, q) => {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean).map(escapeRegex);
+  const pattern = new RegExp(terms.join("|"), "gi");
+  const highlights = {};
+
+  for (const field of fields) {
+    const value = doc[field];
+    if (typeof value !== "string") continue;
+    const ranges = [...value.matchAll(pattern)].map((match) => [match.index, match.index + match[0].length]);
+    if (ranges.length) highlights[field] = ranges;
+  }
+
+  return { matchedFields: Object.keys(highlights), highlights };
+};
+
+module.exports = {
+  MAX_SEARCH_LENGTH,
+  SEARCH_RESULTS_PER_TYPE,
+  parseSearchQuery,
+  escapeRegex,
+  findHighlights,
+};
@@ -0,0 +1,186 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { MongoServerError, BSON } = require("mongodb");
+const routeSchemas = require("./schemas");
+
+// removeAdditional strips body fields a schema doesn't list (with additionalProperties: false),
+// coerceTypes turns query/param strings into the numbers/booleans the schema asks for
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, removeAdditional: true, useDefaults: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  402: "PAYMENT_REQUIRED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+};
+
+// Every error response is { error: { code, message, details } }
+class ApiError extends Error {
+  constructor(status, message, details = null, code = ERROR_CODES[status] || "ERROR") {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const compiled = {};
+const compileRoute = (routeKey) => {
+  const schema = routeSchemas[routeKey];
+  if (!schema) {
+    throw new Error(`No schema declared for route "${routeKey}"`);
+  }
+  compiled[routeKey] ||= {
+    params: schema.params && ajv.compile(schema.params),
+    query: schema.query && ajv.compile(schema.query),
+    body: schema.body && ajv.compile(schema.body),
+  };
+  return compiled[routeKey];
+};
+
+// Validate req.params, req.query and req.body against the schema declared for "METHOD /path"
+const validate = (routeKey) => {
+  const validators = compileRoute(routeKey);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const part of ["params", "query", "body"]) {
+      const validator = validators[part];
+      if (!validator) continue;
+
+      // req.query is a getter in Express 5, so validate a copy and put it back
+      const value = part === "query" ? { ...req.query } : req[part] ?? {};
+      if (!validator(value)) {
+        for (const error of validator.errors) {
+          details.push({
+            in: part,
+            field: (error.instancePath || `/${error.params?.missingProperty || ""}`).slice(1).replace(/\//g, ".") || null,
+            message: error.message,
+          });
+        }
+      } else if (part === "query") {
+        Object.defineProperty(req, "query", { value, writable: true, configurable: true });
+      } else {
+        req[part] = value;
+      }
+    }
+
+    if (details.length) {
+      return next(new ApiError(400, "Request validation failed", details, "VALIDATION_ERROR"));
+    }
+    next();
+  };
+};
+
+// The body fields that were sent, out of `fields` (partial updates)
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+// Unknown routes
+const notFound = (req, res, next) => {
+  next(new ApiError(404, `Route ${req.method} ${req.path} not found`));
+};
+
+// Single place that turns errors into the response envelope
+const errorHandler = (err, req, res, next) => {
+  let error = err;
+
+  if (!(err instanceof ApiError)) {
+    if (err.type === "entity.parse.failed") {
+      error = new ApiError(400, "Malformed JSON body", null, "INVALID_JSON");
+    } else if (err instanceof BSON.BSONError) {
+      error = new ApiError(400, "Invalid id");
+    } else if (err instanceof MongoServerError && err.code === 11000) {
+      error = new ApiError(409, "Duplicate record", err.keyValue || null);
+    } else {
+      console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+      error = new ApiError(500, "Something went wrong");
+    }
+  }
+
+  if (res.headersSent) return;
+  res.status(error.status).json({
+    error: { code: error.code, message: error.message, details: error.details },
+  });
+};
+
+const ERROR_RESPONSE = {
+  description: "Error",
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+  },
+};
+
+const toParameters = (schema, location) =>
+  Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    schema: property,
+    ...(property.description && { description: property.description }),
+  }));
+
+// OpenAPI 3.1 document built from the same schemas the routes validate against
+const buildOpenApiDocument = () => {
+  const paths = {};
+
+  for (const [routeKey, schema] of Object.entries(routeSchemas)) {
+    const [method, route] = routeKey.split(" ");
+    const path = route.replace(/:(\w+)/g, "{$1}");
+
+    paths[path] ||= {};
+    paths[path][method.toLowerCase()] = {
+      summary: schema.summary,
+      ...(schema.description && { description: schema.description }),
+      tags: schema.tags,
+      ...(schema.auth !== false && { security: [{ firebaseToken: [] }] }),
+      parameters: [...toParameters(schema.params, "path"), ...toParameters(schema.query, "query")],
+      ...(schema.body && {
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: schema.body } },
+        },
+      }),
+      responses: {
+        200: { description: "OK" },
+        default: ERROR_RESPONSE,
+      },
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "PlateShare API", version: require("../package.json").version },
+    paths,
+    components: {
+      securitySchemes: {
+        firebaseToken: { type: "http", scheme: "bearer", description: "Firebase ID token" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            error: {
+              type: "object",
+              properties: {
+                code: { type: "string" },
+                message: { type: "string" },
+                details: {},
+              },
+              required: ["code", "message"],
+            },
+          },
+        },
+      },
+    },
+  };
+};
+
+module.exports = { ApiError, validate, pick, notFound, errorHandler, buildOpenApiDocument };
@@ -0,0 +1,159 @@
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/validation");
+const { toDonationId } = require("../lib/lifecycle");
+const policies = require("../lib/policies");
+const { userRoles, primaryRole } = require("../lib/roles");
+
+// Auth middlewares bound to a token verifier (anything with Firebase's verifyIdToken),
+// the app's collections and the role service that keeps the token's role claims in sync
+const createAuthMiddleware = ({ auth, collections, roleService }) => {
+  const { users, donations, requests, favorites, reviews, restaurants, donationSchedules } = collections;
+
+  const verifyToken = async (req, checkRevoked = false) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      throw new ApiError(401, 'unauthorized access');
+    }
+    const token = authHeader.split(' ')[1];
+    if (!token) {
+      throw new ApiError(401, 'unauthorized access');
+    }
+
+    try {
+      return await auth.verifyIdToken(token, checkRevoked);
+    } catch (error) {
+      if (error.code === 'auth/id-token-revoked') {
+        throw new ApiError(401, 'session revoked, please sign in again');
+      }
+      throw new ApiError(403, 'forbidden access');
+    }
+  };
+
+  // ✅ Verify Firebase token middleware
+  // Revocation isn't checked here, that costs a Firebase call: a role taken away revokes the
+  // refresh tokens (see services/roles.js), so the old claims last until the ID token expires (an hour)
+  const verifyFBToken = async (req, res, next) => {
+    req.decoded = await verifyToken(req);
+    next();
+  };
+
+  // Public routes that show admins more: check the token when one is sent, else go on signed out
+  const optionalFBToken = (req, res, next) =>
+    req.headers.authorization ? verifyFBToken(req, res, next) : next();
+
+  // The caller's roles, from the `roles` custom claim. Tokens minted before the claims were
+  // synced don't carry it, so those read the user, and the claims are synced if they never were.
+  const getRoles = async (req) => {
+    if (req.roles) return req.roles;
+    if (Array.isArray(req.decoded.roles)) {
+      req.roles = req.decoded.roles;
+      return req.roles;
+    }
+
+    const user = await users.findOne({ email: req.decoded.email });
+    req.roles = userRoles(user);
+    if (user && !user.claimsSyncedAt) {
+      await roleService.syncClaims(user);
+    }
+    return req.roles;
+  };
+
+  // A role granted after the token was issued isn't in its claim until the client refreshes
+  // the token. Rather than a 403 until then, read the user when the claims changed since.
+  const freshRoles = async (req) => {
+    const user = await users.findOne({ email: req.decoded.email });
+    const issuedAt = new Date((req.decoded.iat || 0) * 1000);
+    if (!user?.claimsSyncedAt || user.claimsSyncedAt <= issuedAt) return req.roles;
+    req.roles = userRoles(user);
+    return req.roles;
+  };
+
+  // ✅ Let the request through if the caller holds any of these roles
+  const requireRole = (...allowed) => async (req, res, next) => {
+    let roles = await getRoles(req);
+    if (!allowed.some((name) => roles.includes(name))) {
+      roles = await freshRoles(req);
+    }
+    const role = allowed.find((name) => roles.includes(name));
+    if (!role) {
+      throw new ApiError(403, 'forbidden access');
+    }
+    // an admin whose role was taken away is stopped right away, not when the token expires
+    if (role === 'admin') {
+      await verifyToken(req, true);
+    }
+    // role: the one this route lets them in as
+    req.user = { email: req.decoded.email, name: req.decoded.name, role, roles };
+    next();
+  };
+
+  const verifyAdmin = requireRole('admin');
+  const verifyCharity = requireRole('charity');
+  const verifyRestaurant = requireRole('restaurant');
+
+  // Who is acting, for status history and lifecycle role checks
+  const getActor = async (req) => {
+    if (req.user) return { email: req.user.email, role: req.user.role, roles: req.user.roles };
+    const roles = await getRoles(req);
+    return { email: req.decoded.email, role: primaryRole(roles), roles };
+  };
+
+  // Resource loaders for `authorize`: read :id and return the resources, or null if not found
+  const loaders = {
+    donation: async (req) => {
+      const donation = await donations.findOne({ _id: new ObjectId(req.params.id) });
+      return donation && { donation };
+    },
+    request: async (req) => {
+      const request = await requests.findOne({ _id: new ObjectId(req.params.id) });
+      if (!request) return null;
+      const donation = await donations.findOne({ _id: toDonationId(request.donationId) });
+      return { request, donation };
+    },
+    favorite: async (req) => {
+      const favorite = await favorites.findOne({ _id: new ObjectId(req.params.id) });
+      return favorite && { favorite };
+    },
+    restaurant: async (req) => {
+      const restaurant = await restaurants.findOne({ _id: new ObjectId(req.params.id) });
+      return restaurant && { restaurant };
+    },
+    review: async (req) => {
+      // a deleted hidden review is kept only so it can't be posted again, see DELETE /reviews/:id
+      const review = await reviews.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $exists: false } });
+      return review && { review };
+    },
+    schedule: async (req) => {
+      const schedule = await donationSchedules.findOne({ _id: new ObjectId(req.params.id) });
+      return schedule && { schedule };
+    },
+  };
+
+  // Let the request through if any of the named policies allows it.
+  // Loaded resources end up on req.resources so the handler doesn't read them again.
+  const authorize = (load, ...policyNames) => async (req, res, next) => {
+    let resources = {};
+    if (load) {
+      if (!ObjectId.isValid(req.params.id)) {
+        throw new ApiError(400, "Invalid id");
+      }
+      resources = await load(req);
+      if (!resources) {
+        throw new ApiError(404, "Not found");
+      }
+    }
+
+    const actor = await getActor(req);
+    if (!policyNames.some((name) => policies[name](actor, resources, req))) {
+      throw new ApiError(403, "forbidden access");
+    }
+
+    req.actor = actor;
+    req.resources = resources;
+    next();
+  };
+
+  return { verifyFBToken, optionalFBToken, requireRole, verifyAdmin, verifyCharity, verifyRestaurant, getActor, loaders, authorize };
+};
+
+module.exports = { createAuthMiddleware };
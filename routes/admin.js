@@ -0,0 +1,121 @@
+const express = require("express");
+const { ApiError, validate } = require("../lib/validation");
+const {
+  REQUEST_LISTING,
+  AUDIT_LOG_LISTING,
+  parseDateRange,
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../lib/listing");
+const { deliverQueuedEmails } = require("../jobs/sendEmails");
+
+// ============================
+//  ADMIN
+// ============================
+
+const createAdminRouter = (context) => {
+  const { collections, middleware, auditService, statsService } = context;
+  const router = express.Router();
+  const { emailOutbox: emailOutboxCollection, auditLog: auditLogCollection } = collections;
+  const { verifyFBToken, verifyAdmin } = middleware;
+
+  // Who did what, newest first. Filter by actorEmail, action, targetType, targetId and from/to.
+  router.get("/admin/audit-log", verifyFBToken, verifyAdmin, validate("GET /admin/audit-log"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, AUDIT_LOG_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const page = await findPage(auditLogCollection, {}, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ?from/?to for the stats endpoints
+  const statsRange = (req) => {
+    const { range, error } = parseDateRange(req.query, "from", "to");
+    if (error) {
+      throw new ApiError(400, error);
+    }
+    return range;
+  };
+
+  // Donations posted vs picked up vs expired, per ?bucket=day|week|month
+  router.get("/admin/stats/donations", verifyFBToken, verifyAdmin, validate("GET /admin/stats/donations"), async (req, res, next) => {
+    try {
+      const timeline = await statsService.donationTimeline(statsRange(req), req.query.bucket);
+      res.json({ bucket: req.query.bucket, timeline });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Top restaurants and charities by completed pickups
+  router.get("/admin/stats/leaderboard", verifyFBToken, verifyAdmin, validate("GET /admin/stats/leaderboard"), async (req, res, next) => {
+    try {
+      const leaderboard = await statsService.leaderboard(statsRange(req), req.query.limit);
+      res.json(leaderboard);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Acceptance rate and median request → pickup time
+  router.get("/admin/stats/requests", verifyFBToken, verifyAdmin, validate("GET /admin/stats/requests"), async (req, res, next) => {
+    try {
+      const outcomes = await statsService.requestOutcomes(statsRange(req));
+      res.json(outcomes);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Role-fee revenue from transactions (amounts in cents, net of refunds)
+  router.get("/admin/stats/revenue", verifyFBToken, verifyAdmin, validate("GET /admin/stats/revenue"), async (req, res, next) => {
+    try {
+      const revenue = await statsService.revenue(statsRange(req), req.query.bucket);
+      res.json({ bucket: req.query.bucket, ...revenue });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Outbox messages, e.g. ?status=failed to see what never went out
+  router.get("/admin/emails", verifyFBToken, verifyAdmin, validate("GET /admin/emails"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, REQUEST_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const page = await findPage(emailOutboxCollection, {}, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Run the outbox worker on demand (background jobs, see index.js)
+  router.post("/admin/send-emails", verifyFBToken, verifyAdmin, validate("POST /admin/send-emails"), async (req, res, next) => {
+    try {
+      const result = await deliverQueuedEmails(context);
+      await auditService.record({
+        actor: req.user,
+        action: "emails.delivery_run",
+        target: { type: "emailOutbox" },
+        after: result,
+      });
+      res.json({ message: "Email delivery finished", ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
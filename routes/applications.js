@@ -0,0 +1,101 @@
+const express = require("express");
+const { ApiError, validate } = require("../lib/validation");
+const { APPLICATION_KINDS, APPLICANT_PROJECTION } = require("../lib/applications");
+const { APPLICATION_LISTING, parseListQuery, aggregatePage, sendPage } = require("../lib/listing");
+
+// ============================
+//  APPLICATIONS (CHARITY + RESTAURANT)
+// ============================
+
+// Both kinds side by side, with the applicant's email and name under the same field names
+const withKind = (kind) => ({
+  $addFields: {
+    kind,
+    applicantEmail: `$${APPLICATION_KINDS[kind].applicantField}`,
+    applicantName: `$${APPLICATION_KINDS[kind].nameField}`,
+  },
+});
+
+const createApplicationsRouter = ({ collections, middleware, applicationService }) => {
+  const router = express.Router();
+  const { roleRequests: roleRequestsCollection, restaurantRequests: restaurantRequestsCollection } = collections;
+  const { verifyFBToken, verifyAdmin } = middleware;
+
+  // Your applications of both kinds, with their status and the reason for the last decision
+  router.get("/applications/me", verifyFBToken, validate("GET /applications/me"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email;
+      const [charity, restaurant] = await Promise.all(
+        ["charity", "restaurant"].map((kind) =>
+          collections[APPLICATION_KINDS[kind].collection]
+            .find({ [APPLICATION_KINDS[kind].applicantField]: email }, { projection: APPLICANT_PROJECTION })
+            .toArray()
+        )
+      );
+
+      const applications = [
+        ...charity.map((application) => ({ ...application, kind: "charity" })),
+        ...restaurant.map((application) => ({ ...application, kind: "restaurant" })),
+      ].sort((a, b) => b.createdAt - a.createdAt);
+      res.json(applications);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Review queue with both kinds (admin). Open applications (Pending, Needs Info) unless ?status says otherwise.
+  router.get("/admin/applications", verifyFBToken, verifyAdmin, validate("GET /admin/applications"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, APPLICATION_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const pipeline = [
+        withKind("charity"),
+        { $unionWith: { coll: restaurantRequestsCollection.collectionName, pipeline: [withKind("restaurant")] } },
+      ];
+      const page = await aggregatePage(roleRequestsCollection, pipeline, { status: { $in: ["Pending", "Needs Info"] } }, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // One application with its history and reviewer notes (admin)
+  router.get("/admin/applications/:kind/:id", verifyFBToken, verifyAdmin, validate("GET /admin/applications/:kind/:id"), async (req, res, next) => {
+    try {
+      const { kind, id } = req.params;
+      const application = await applicationService.findApplication(kind, id);
+      res.json({ ...application, kind });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Ask for more information, approve, reject or revoke (admin)
+  router.patch("/admin/applications/:kind/:id", verifyFBToken, verifyAdmin, validate("PATCH /admin/applications/:kind/:id"), async (req, res, next) => {
+    try {
+      const { kind, id } = req.params;
+      const { application, refund } = await applicationService.review(kind, id, req.body, req.user);
+      res.json({ ...application, kind, refund });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Add an internal reviewer note (admin)
+  router.post("/admin/applications/:kind/:id/notes", verifyFBToken, verifyAdmin, validate("POST /admin/applications/:kind/:id/notes"), async (req, res, next) => {
+    try {
+      const { kind, id } = req.params;
+      const note = await applicationService.addNote(kind, id, req.body.note, req.user);
+      res.status(201).json(note);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createApplicationsRouter;
@@ -0,0 +1,425 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate, pick } = require("../lib/validation");
+const {
+  DONATION_TRANSITIONS,
+  REQUEST_TRANSITIONS,
+  REQUESTABLE_DONATION_STATUSES,
+  OPEN_DONATION_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  SYSTEM_ACTOR,
+  toPickupDate,
+  transitionStatus,
+} = require("../lib/lifecycle");
+const { toGeoPoint, DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM } = require("../lib/geo");
+const { DONATION_LISTING, parseListQuery, findPage, sendPage, includeExpired, notPastPickup } = require("../lib/listing");
+const { sweepExpiredDonations } = require("../jobs/expireDonations");
+const { INVALID_QUANTITY_MESSAGE, toQuantity } = require("../lib/quantity");
+const { buildDonation } = require("../lib/donations");
+
+// Fields a restaurant may change through PUT /donations/:id
+const DONATION_EDITABLE_FIELDS = ["title", "foodType", "quantity", "unit", "pickupTime", "location", "imageUrl", "description"];
+
+// New quantity / unit / remainingQuantity for an edit. What charities already
+// claimed stays claimed, so the quantity can't drop below it.
+const quantityChange = (donation, { quantity = donation.quantity, unit }) => {
+  const amount = toQuantity(quantity, unit, donation.unit);
+  if (!amount) {
+    throw new ApiError(400, INVALID_QUANTITY_MESSAGE);
+  }
+  if (typeof donation.remainingQuantity !== "number") {
+    // never parsed, nothing has been claimed from it in parts
+    return { quantity: amount.amount, unit: amount.unit, remainingQuantity: amount.amount };
+  }
+
+  const claimed = donation.quantity - donation.remainingQuantity;
+  if (claimed > 0 && amount.unit !== donation.unit) {
+    throw new ApiError(400, `Part of this donation was already claimed in ${donation.unit}, the unit can't change`);
+  }
+  if (amount.amount < claimed) {
+    throw new ApiError(400, `${claimed} ${donation.unit} were already claimed, the quantity can't be lower than that`);
+  }
+  if (donation.remainingQuantity === 0 && amount.amount > claimed) {
+    throw new ApiError(400, "This donation was fully claimed, post a new donation for the extra food");
+  }
+  return { quantity: amount.amount, unit: amount.unit, remainingQuantity: amount.amount - claimed };
+};
+
+// ============================
+//  DONATIONS
+// ============================
+
+const createDonationsRouter = (context) => {
+  const { collections, middleware, notificationService, eventService, auditService } = context;
+  const router = express.Router();
+  const {
+    donations: donationsCollection,
+    requests: requestsCollection,
+    restaurants: restaurantsCollection,
+    reviews: reviewsCollection,
+  } = collections;
+  const { verifyFBToken, verifyAdmin, verifyRestaurant, getActor, loaders, authorize } = middleware;
+
+  //  Get all donations for homepage (no verifyAdmin)
+  router.get("/donations", validate("GET /donations"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, DONATION_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const baseFilter = includeExpired(req)
+        ? {}
+        : { status: { $ne: "Expired" }, ...notPastPickup(OPEN_DONATION_STATUSES) };
+      const page = await findPage(donationsCollection, baseFilter, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  //  Get all donations (Admin only)
+  router.get("/donations/admin", verifyFBToken, verifyAdmin, validate("GET /donations/admin"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, DONATION_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const page = await findPage(donationsCollection, {}, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Run the sweeper on demand (background jobs, see index.js)
+  router.post("/admin/expire-donations", verifyFBToken, verifyAdmin, validate("POST /admin/expire-donations"), async (req, res, next) => {
+    try {
+      const result = await sweepExpiredDonations(context);
+      await auditService.record({
+        actor: req.user,
+        action: "donations.expiry_run",
+        target: { type: "donation" },
+        after: result,
+      });
+      res.json({ message: "Expiry sweep finished", ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  //  be a donor
+  router.post("/donations", verifyFBToken, verifyRestaurant, validate("POST /donations"), async (req, res, next) => {
+    try {
+      const {
+        title,
+        foodType,
+        quantity,
+        unit,
+        pickupTime,
+        location,
+        imageUrl,
+        description,
+        lat,
+        lng,
+      } = req.body;
+
+      // Basic validation
+      if (!title || !foodType || !quantity || !pickupTime || !location) {
+        throw new ApiError(400, "All required fields must be provided");
+      }
+      const amount = toQuantity(quantity, unit);
+      if (!amount) {
+        throw new ApiError(400, INVALID_QUANTITY_MESSAGE);
+      }
+
+      // the donation belongs to the caller's restaurant, whatever the client says
+      const restaurant = await restaurantsCollection.findOne({ ownerEmail: req.decoded.email, status: "Active" });
+      if (!restaurant) {
+        throw new ApiError(403, "Your restaurant profile is not active");
+      }
+
+      // use the donation's own coordinates, else the restaurant's
+      let geo = toGeoPoint(lat, lng);
+      if ((lat || lng) && !geo) {
+        throw new ApiError(400, "Invalid coordinates");
+      }
+      if (!geo) {
+        geo = restaurant.geo || null;
+      }
+
+      const newDonation = buildDonation(
+        restaurant,
+        { title, foodType, quantity: amount, pickupTime, location, geo, imageUrl, description },
+        await getActor(req)
+      );
+
+      const result = await donationsCollection.insertOne(newDonation);
+
+      const { statusHistory, ...summary } = newDonation;
+      await eventService.publish("donation.created", summary, {
+        emails: [restaurant.ownerEmail],
+        roles: ["charity", "admin"],
+      });
+
+      res.status(201).json({
+        message: "Donation added successfully",
+        donationId: result.insertedId,
+        donation: newDonation,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+  // get all my  donations (restaurant can see all donations)
+  router.get("/donations/restaurant/:email", verifyFBToken, validate("GET /donations/restaurant/:email"), authorize(null, "self", "admin"), async (req, res, next) => {
+    try {
+      const email = req.params.email;
+      const donations = await donationsCollection
+        .find({ restaurantEmail: email })
+        .toArray();
+
+      res.json(donations);
+    } catch (err) {
+      next(err);
+    }
+  });
+  //update donation information
+  router.put("/donations/:id", verifyFBToken, validate("PUT /donations/:id"), authorize(loaders.donation, "donationOwner", "admin"), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const { donation } = req.resources;
+      if (!OPEN_DONATION_STATUSES.includes(donation.status)) {
+        throw new ApiError(409, `This donation is ${donation.status} and can no longer be edited`);
+      }
+
+      const { lat, lng } = req.body;
+      const updateData = pick(req.body, DONATION_EDITABLE_FIELDS);
+      if (updateData.pickupTime) {
+        updateData.pickupAt = toPickupDate(updateData.pickupTime);
+      }
+      if (lat !== undefined || lng !== undefined) {
+        const point = toGeoPoint(lat, lng);
+        if (!point) {
+          throw new ApiError(400, "Invalid coordinates");
+        }
+        updateData.geo = point;
+      }
+
+      if (!Object.keys(updateData).length) {
+        throw new ApiError(400, `Nothing to update. Editable fields: ${DONATION_EDITABLE_FIELDS.join(", ")}`);
+      }
+
+      const filter = { _id: new ObjectId(id) };
+      if (updateData.quantity !== undefined || updateData.unit !== undefined) {
+        Object.assign(updateData, quantityChange(donation, updateData));
+        // a charity's request may be accepted meanwhile
+        filter.remainingQuantity = donation.remainingQuantity;
+      }
+
+      const result = await donationsCollection.updateOne(
+        filter,
+        { $set: { ...updateData, updatedAt: new Date() } }
+      );
+      if (!result.matchedCount) {
+        throw new ApiError(409, "The donation was claimed while you were editing it, please refresh");
+      }
+      if (updateData.pickupAt !== undefined) {
+        await requestsCollection.updateMany(
+          { donationId: { $in: [donation._id, donation._id.toString()] }, status: { $in: OPEN_REQUEST_STATUSES } },
+          { $set: { pickupAt: updateData.pickupAt } }
+        );
+      }
+
+      if (req.actor.role === "admin") {
+        await auditService.record({
+          actor: req.actor,
+          action: "donation.edited",
+          target: { type: "donation", id },
+          before: pick(donation, Object.keys(updateData)),
+          after: updateData,
+        });
+      }
+
+      res.json({ message: "Donation updated successfully", result });
+    } catch (err) {
+      next(err);
+    }
+  });
+  // change donation status (goes through the lifecycle: admin verifies, owner cancels)
+  router.patch("/donations/:id/status", verifyFBToken, validate("PATCH /donations/:id/status"), authorize(loaders.donation, "donationOwner", "admin"), async (req, res, next) => {
+    try {
+      const { status, note } = req.body;
+      const { donation } = req.resources;
+
+      const transition = await transitionStatus(
+        donationsCollection, DONATION_TRANSITIONS, donation, status, req.actor, { note }
+      );
+      if (!transition.ok) {
+        throw new ApiError(transition.code, transition.message);
+      }
+
+      if (req.actor.role === "admin") {
+        await auditService.record({
+          actor: req.actor,
+          action: "donation.status_changed",
+          target: { type: "donation", id: donation._id },
+          before: { status: donation.status },
+          after: { status },
+          note: note || null,
+        });
+      }
+
+      // the restaurant hears about changes someone else (an admin) made
+      if (req.actor.email !== donation.restaurantEmail) {
+        await notificationService.notify(
+          donation.restaurantEmail, `donation.${status.toLowerCase()}`,
+          `Your donation "${donation.title}" is now ${status}`,
+          { donationId: donation._id, note: note || null }
+        );
+      }
+
+      res.json({ message: "Donation status updated", status });
+    } catch (err) {
+      next(err);
+    }
+  });
+  // delete my donation. One that charities already requested is cancelled instead,
+  // so their requests keep pointing at it.
+  router.delete("/donations/:id", verifyFBToken, validate("DELETE /donations/:id"), authorize(loaders.donation, "donationOwner", "admin"), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const { donation } = req.resources;
+      const donationIds = [donation._id, donation._id.toString()];
+
+      if (await requestsCollection.countDocuments({ donationId: { $in: donationIds }, status: "Accepted" })) {
+        throw new ApiError(409, "A charity is coming to pick this donation up, it can't be deleted");
+      }
+
+      let result;
+      let status = null;
+      if (!(await requestsCollection.countDocuments({ donationId: { $in: donationIds } }))) {
+        result = await donationsCollection.deleteOne({ _id: donation._id });
+      } else if (!OPEN_DONATION_STATUSES.includes(donation.status)) {
+        throw new ApiError(409, `This donation is ${donation.status} and its requests are kept, it can't be deleted`);
+      } else {
+        const transition = await transitionStatus(
+          donationsCollection, DONATION_TRANSITIONS, donation, "Cancelled", req.actor, { note: "Donation deleted" }
+        );
+        if (!transition.ok) {
+          throw new ApiError(transition.code, transition.message);
+        }
+        status = "Cancelled";
+
+        const waiting = await requestsCollection.find({ donationId: { $in: donationIds }, status: "Pending" }).toArray();
+        for (const request of waiting) {
+          const rejected = await transitionStatus(
+            requestsCollection, REQUEST_TRANSITIONS, request, "Rejected", SYSTEM_ACTOR, { note: "The donation was withdrawn" }
+          );
+          if (!rejected.ok) continue;
+          await eventService.publish("request.status_changed", {
+            requestId: request._id,
+            donationId: request.donationId,
+            from: request.status,
+            status: "Rejected",
+          }, {
+            emails: [request.charityEmail, request.restaurantEmail],
+          });
+          await notificationService.notify(
+            request.charityEmail, "request.rejected",
+            `Your request for "${donation.title}" was closed: the donation was withdrawn`,
+            { requestId: request._id, donationId: donation._id }
+          );
+        }
+      }
+
+      if (req.actor.role === "admin") {
+        await auditService.record({
+          actor: req.actor,
+          action: "donation.deleted",
+          target: { type: "donation", id },
+          before: { title: donation.title, restaurantEmail: donation.restaurantEmail, status: donation.status },
+          after: status ? { status } : null,
+        });
+      }
+
+      if (status) {
+        return res.json({ message: "Donation cancelled: charities had requested it", status });
+      }
+      res.json({ message: "Donation deleted successfully", result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  //home page donations api
+
+
+  // Available donations near a point, closest first
+  router.get("/donations/nearby", validate("GET /donations/nearby"), async (req, res, next) => {
+    try {
+      const { lat, lng } = req.query;
+      const near = toGeoPoint(lat, lng);
+      if (!near) {
+        throw new ApiError(400, "Valid lat and lng are required");
+      }
+
+      const radiusKm = req.query.radiusKm === undefined ? DEFAULT_NEARBY_RADIUS_KM : Number(req.query.radiusKm);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+        throw new ApiError(400, `radiusKm must be between 0 and ${MAX_NEARBY_RADIUS_KM}`);
+      }
+
+      const donations = await donationsCollection.aggregate([
+        {
+          $geoNear: {
+            near,
+            key: "geo",
+            distanceField: "distanceMeters",
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query: { status: { $in: REQUESTABLE_DONATION_STATUSES }, ...notPastPickup(REQUESTABLE_DONATION_STATUSES) },
+          },
+        },
+        { $addFields: { distanceKm: { $round: [{ $divide: ["$distanceMeters", 1000] }, 2] } } },
+      ]).toArray();
+
+      res.json(donations);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get a single donation with its reviews
+  router.get("/donations/:id", validate("GET /donations/:id"), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      // Find the donation
+      const donation = await donationsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!donation) {
+        throw new ApiError(404, "Donation not found");
+      }
+
+      // Find reviews related to this donation (stored with an ObjectId donationId)
+      const reviews = await reviewsCollection
+        .find({ donationId: donation._id, status: { $ne: "Hidden" } }, { projection: { reports: 0 } })
+        .toArray();
+
+      res.json({
+        donation,
+        reviews,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDonationsRouter;
@@ -0,0 +1,80 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validate } = require("../lib/validation");
+
+// Keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// ============================
+//  REAL-TIME EVENTS (SSE)
+// ============================
+
+const createEventsRouter = ({ middleware, eventService }) => {
+  const router = express.Router();
+  const { verifyFBToken, getActor } = middleware;
+
+  // The browser EventSource can't send an Authorization header,
+  // so the stream also accepts the Firebase token as ?access_token=
+  const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === "string") {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  };
+
+  // Stream of the events for your role and email. Reconnects send Last-Event-ID
+  // (or ?lastEventId=) and get everything they missed first.
+  router.get("/events", tokenFromQuery, verifyFBToken, validate("GET /events"), async (req, res) => {
+    const actor = await getActor(req);
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const send = (event) => {
+      res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    // hold live events back until the missed ones are out, so the order stays right
+    let replaying = true;
+    const held = [];
+    const unsubscribe = eventService.subscribe(actor, (event) => {
+      if (replaying) held.push(event);
+      else send(event);
+    });
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    const replayed = new Set();
+    if (lastEventId && ObjectId.isValid(lastEventId)) {
+      try {
+        const missed = await eventService.missedSince(actor, lastEventId);
+        for (const event of missed) {
+          replayed.add(event._id.toString());
+          send(event);
+        }
+      } catch (err) {
+        console.error("❌ Failed to replay missed events:", err);
+      }
+    }
+
+    replaying = false;
+    for (const event of held) {
+      if (!replayed.has(event._id.toString())) send(event);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createEventsRouter;
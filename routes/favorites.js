@@ -0,0 +1,92 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+
+// ============================
+//  FAVORITES
+// ============================
+
+const createFavoritesRouter = ({ collections, middleware }) => {
+  const router = express.Router();
+  const { favorites: favoritesCollection } = collections;
+  const { verifyFBToken, loaders, authorize } = middleware;
+
+  //  POST: Add to favorites
+  router.post("/favorites", verifyFBToken, validate("POST /favorites"), async (req, res, next) => {
+    try {
+      const {
+        donationId,
+        title,
+        restaurantName,
+        location,
+        status,
+        quantity,
+        imageUrl,
+      } = req.body;
+      const ownerEmail = req.decoded.email;
+
+      // minimal validation
+      if (!donationId) {
+        throw new ApiError(400, "donationId is required");
+      }
+
+      // Avoid duplicate favorites for same user + donation
+      const exists = await favoritesCollection.findOne({
+        donationId: donationId,
+        ownerEmail: ownerEmail,
+      });
+
+      if (exists) {
+        throw new ApiError(409, "Donation already in favorites");
+      }
+
+
+      const favoriteDoc = {
+        donationId: donationId,
+        title: title || null,
+        restaurantName: restaurantName || null,
+        location: location || null,
+        status: status || null,
+        quantity: quantity || null,
+        imageUrl: imageUrl || null,
+        ownerEmail: ownerEmail,
+        createdAt: new Date(),
+      };
+
+      const result = await favoritesCollection.insertOne(favoriteDoc);
+
+
+      res.status(201).json({ insertedId: result.insertedId, ...favoriteDoc });
+    } catch (err) {
+      next(err);
+    }
+  });
+  // Get all favorites for a user
+  router.get("/favorites/:email", verifyFBToken, validate("GET /favorites/:email"), authorize(null, "self"), async (req, res, next) => {
+    try {
+      const { email } = req.params;
+      const favorites = await favoritesCollection.find({ ownerEmail: email }).toArray();
+      res.json(favorites);
+    } catch (err) {
+      next(err);
+    }
+  });
+  // Remove from favorites
+  router.delete("/favorites/:id", verifyFBToken, validate("DELETE /favorites/:id"), authorize(loaders.favorite, "favoriteOwner"), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const result = await favoritesCollection.deleteOne({ _id: new ObjectId(id) });
+
+      if (result.deletedCount === 0) {
+        throw new ApiError(404, "Favorite not found");
+      }
+      res.json({ message: "Favorite removed successfully" });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createFavoritesRouter;
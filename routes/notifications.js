@@ -0,0 +1,98 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+const { NOTIFICATION_LISTING, parseListQuery, findPage, sendPage } = require("../lib/listing");
+
+// ============================
+//  NOTIFICATIONS
+// ============================
+
+const createNotificationsRouter = ({ collections, middleware, notificationService }) => {
+  const router = express.Router();
+  const { notifications: notificationsCollection } = collections;
+  const { verifyFBToken } = middleware;
+
+  // Your notifications, newest first, with the unread count in X-Unread-Count
+  router.get("/notifications", verifyFBToken, validate("GET /notifications"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email;
+      const listQuery = parseListQuery(req.query, NOTIFICATION_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const baseFilter = { recipientEmail: email };
+      if (req.query.unread === "true") baseFilter.read = false;
+
+      const page = await findPage(notificationsCollection, baseFilter, listQuery);
+      const unreadCount = await notificationService.unreadCount(email);
+
+      res.set("X-Unread-Count", String(unreadCount));
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Just the badge number
+  router.get("/notifications/unread-count", verifyFBToken, validate("GET /notifications/unread-count"), async (req, res, next) => {
+    try {
+      const unreadCount = await notificationService.unreadCount(req.decoded.email);
+      res.json({ unreadCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/notifications/preferences", verifyFBToken, validate("GET /notifications/preferences"), async (req, res, next) => {
+    try {
+      const preferences = await notificationService.getPreferences(req.decoded.email);
+      res.json(preferences);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Turn notification types on/off, e.g. { "request.created": false }
+  router.put("/notifications/preferences", verifyFBToken, validate("PUT /notifications/preferences"), async (req, res, next) => {
+    try {
+      const preferences = await notificationService.updatePreferences(req.decoded.email, req.body);
+      res.json(preferences);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/notifications/read-all", verifyFBToken, validate("PATCH /notifications/read-all"), async (req, res, next) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { recipientEmail: req.decoded.email, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      res.json({ message: "All notifications marked as read", modifiedCount: result.modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/notifications/:id/read", verifyFBToken, validate("PATCH /notifications/:id/read"), async (req, res, next) => {
+    try {
+      // only your own notifications match
+      const notification = await notificationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), recipientEmail: req.decoded.email },
+        { $set: { read: true, readAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!notification) {
+        throw new ApiError(404, "Notification not found");
+      }
+      res.json(notification);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNotificationsRouter;
@@ -0,0 +1,72 @@
+const express = require("express");
+const { ApiError, validate } = require("../lib/validation");
+const { PAYMENT_CATALOG } = require("../services/payments");
+
+// ============================
+//  STRIPE PAYMENT VERIFICATION
+// ============================
+
+const createPaymentsRouter = ({ middleware, payments, paymentService }) => {
+  const router = express.Router();
+  const { verifyFBToken } = middleware;
+
+  // Stripe webhook (signed, no Firebase token)
+  router.post("/stripe/webhook", validate("POST /stripe/webhook"), async (req, res, next) => {
+    const signature = req.headers["stripe-signature"];
+    let event;
+    try {
+      event = payments.constructEvent(req.rawBody, signature);
+    } catch (err) {
+      throw new ApiError(400, `Webhook signature verification failed: ${err.message}`);
+    }
+
+    try {
+      await paymentService.handleEvent(event);
+      res.json({ received: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // 1) Create PaymentIntent (amount comes from the server-side catalog)
+  router.post('/create-payment-intent', verifyFBToken, validate("POST /create-payment-intent"), async (req, res, next) => {
+    try {
+      const purpose = req.body.purpose || 'charity-role';
+      const price = PAYMENT_CATALOG[purpose];
+      if (!price) {
+        throw new ApiError(400, `Unknown payment purpose: ${purpose}`);
+      }
+
+      const email = req.decoded.email;
+      const paymentIntent = await payments.createPaymentIntent({
+        amount: price.amount,
+        currency: price.currency,
+        description: `PlateShare: ${price.description}`,
+        metadata: { email, purpose },
+        automatic_payment_methods: { enabled: true },
+      });
+      res.send({ clientSecret: paymentIntent.client_secret, amount: price.amount, currency: price.currency });
+    } catch (e) {
+      // Stripe rejections are reported back as bad requests
+      next(e instanceof ApiError ? e : new ApiError(400, e.message));
+    }
+  });
+
+  // 4) Save transaction (verified against Stripe, client amounts are ignored)
+  router.post('/transactions', verifyFBToken, validate("POST /transactions"), async (req, res, next) => {
+    try {
+      const { transactionId, purpose } = req.body;
+      const transaction = await paymentService.confirmPayment(transactionId, req.decoded.email, purpose);
+      if (!transaction) {
+        throw new ApiError(402, 'Payment has not been confirmed for this email.');
+      }
+      res.send({ insertedId: transaction._id, transaction });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPaymentsRouter;
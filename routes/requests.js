@@ -0,0 +1,472 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+const {
+  DONATION_TRANSITIONS,
+  REQUEST_TRANSITIONS,
+  REQUESTABLE_DONATION_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  SYSTEM_ACTOR,
+  toDonationId,
+  statusHistoryEntry,
+  transitionStatus,
+  releaseDonationIfUnclaimed,
+  isTransactionConflict,
+} = require("../lib/lifecycle");
+const { formatQuantity } = require("../lib/quantity");
+const {
+  MAX_PICKUP_CODE_ATTEMPTS,
+  PICKUP_CODE_PROJECTION,
+  issuePickupCode,
+  checkPickupCode,
+} = require("../lib/pickupCodes");
+const { REQUEST_LISTING, parseListQuery, findPage, sendPage, includeExpired, notPastPickup } = require("../lib/listing");
+
+// ============================
+//  CHARITY REQUESTS FOR DONATIONS
+// ============================
+
+const createRequestsRouter = ({ db, collections, middleware, notificationService, eventService, emailService }) => {
+  const router = express.Router();
+  const { donations: donationsCollection, requests: requestsCollection } = collections;
+  const { verifyFBToken, verifyCharity, verifyRestaurant, loaders, authorize } = middleware;
+
+  const releaseDonation = (donationId) => releaseDonationIfUnclaimed(collections, donationId);
+
+  // Both sides of a request see its status changes live
+  const publishStatusChange = (request, status, restaurantEmail = request.restaurantEmail) =>
+    eventService.publish("request.status_changed", {
+      requestId: request._id,
+      donationId: request.donationId,
+      from: request.status,
+      status,
+    }, {
+      emails: [request.charityEmail, restaurantEmail],
+    });
+
+  // Request for donation (charity)
+  router.post("/requests", verifyFBToken, verifyCharity, validate("POST /requests"), async (req, res, next) => {
+    try {
+      const { status, statusHistory, ...requestData } = req.body;
+      const actor = { email: req.decoded.email, role: "charity" };
+
+      const donation = await donationsCollection.findOne({ _id: toDonationId(requestData.donationId) });
+      if (!donation) {
+        throw new ApiError(404, "Donation not found");
+      }
+      if (!REQUESTABLE_DONATION_STATUSES.includes(donation.status)) {
+        throw new ApiError(400, `Donation is ${donation.status} and cannot be requested`);
+      }
+      if (donation.pickupAt && donation.pickupAt < new Date()) {
+        throw new ApiError(400, "The pickup time of this donation has passed");
+      }
+
+      // how much of it the charity needs, all that's left unless they say otherwise
+      if (typeof donation.remainingQuantity === "number") {
+        requestData.quantity ??= donation.remainingQuantity;
+        if (requestData.quantity > donation.remainingQuantity) {
+          throw new ApiError(400, `Only ${formatQuantity(donation.remainingQuantity, donation.unit)} of this donation are left`);
+        }
+        requestData.unit = donation.unit;
+      } else {
+        // never parsed into an amount, it can only be claimed as a whole
+        delete requestData.quantity;
+      }
+
+      // who is asking comes from the token, who is giving from the donation
+      requestData.charityEmail = req.decoded.email;
+      requestData.restaurantEmail = donation.restaurantEmail;
+      // when the donation has to be picked up by, kept in step by PUT /donations/:id
+      if (donation.pickupAt) requestData.pickupAt = donation.pickupAt;
+
+      // add server-side timestamp to ensure consistency
+      requestData.createdAt = new Date();
+      requestData.status = "Pending";
+      requestData.statusHistory = [statusHistoryEntry("Pending", actor)];
+
+      const result = await requestsCollection.insertOne(requestData);
+
+      if (donation.status === "Verified") {
+        await transitionStatus(donationsCollection, DONATION_TRANSITIONS, donation, "Requested", SYSTEM_ACTOR);
+      }
+
+      await eventService.publish("request.created", {
+        requestId: result.insertedId,
+        donationId: requestData.donationId,
+        donationTitle: donation.title,
+        charityName: requestData.charityName || null,
+        charityEmail: requestData.charityEmail,
+        status: requestData.status,
+        createdAt: requestData.createdAt,
+      }, {
+        emails: [donation.restaurantEmail],
+        roles: ["admin"],
+      });
+      await notificationService.notify(
+        donation.restaurantEmail, "request.created",
+        `${requestData.charityName || requestData.charityEmail} requested "${donation.title}"`,
+        { requestId: result.insertedId, donationId: donation._id }
+      );
+
+      res.status(201).json({
+        message: "Donation request submitted successfully",
+        result,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // Get all requests made by logged-in charity
+  router.get("/requests", verifyFBToken, verifyCharity, validate("GET /requests"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email; // logged-in charity’s email
+      const filter = { charityEmail: email };
+      if (!includeExpired(req)) Object.assign(filter, { expired: { $ne: true } }, notPastPickup(OPEN_REQUEST_STATUSES));
+      const requests = await requestsCollection
+        .find(filter, { projection: PICKUP_CODE_PROJECTION })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.json(requests);
+    } catch (err) {
+      next(err);
+    }
+  });
+ // Public view of all charity requests, anyone logged in can see
+  router.get("/requests/public", verifyFBToken, validate("GET /requests/public"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, REQUEST_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const baseFilter = includeExpired(req)
+        ? {}
+        : { expired: { $ne: true }, ...notPastPickup(OPEN_REQUEST_STATUSES) };
+      const page = await findPage(requestsCollection, baseFilter, listQuery, { projection: PICKUP_CODE_PROJECTION });
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Cancel a request (only if Pending & belongs to logged-in charity)
+  router.delete("/requests/:id", verifyFBToken, verifyCharity, validate("DELETE /requests/:id"), authorize(loaders.request, "requestCharity"), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { request, donation } = req.resources;
+
+      if (request.status !== "Pending") {
+        throw new ApiError(400, "Only pending requests can be cancelled");
+      }
+
+      const result = await requestsCollection.deleteOne({ _id: new ObjectId(id), status: "Pending" });
+      await releaseDonation(request.donationId);
+
+      if (result.deletedCount) {
+        await publishStatusChange(request, "Cancelled", donation?.restaurantEmail);
+        await notificationService.notify(
+          request.restaurantEmail || donation?.restaurantEmail, "request.cancelled",
+          `${request.charityName || request.charityEmail} cancelled their request for "${donation?.title || request.donationTitle}"`,
+          { donationId: request.donationId }
+        );
+      }
+
+      res.json({ message: "Request cancelled successfully", deletedCount: result.deletedCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get all requests for a restaurant's donations
+  router.get("/restaurant/requests", verifyFBToken, verifyRestaurant, validate("GET /restaurant/requests"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email;
+
+      const filter = { restaurantEmail: email };
+      if (!includeExpired(req)) Object.assign(filter, { expired: { $ne: true } }, notPastPickup(OPEN_REQUEST_STATUSES));
+      const requests = await requestsCollection
+        .find(filter, { projection: PICKUP_CODE_PROJECTION })
+        .toArray();
+
+      res.json(requests);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Accept one request in a single transaction: accept it, deduct what it asked for from
+  // the donation's remaining quantity and reject the pending requests that no longer fit.
+  // The donation is fully claimed (Accepted) once nothing remains.
+  const acceptRequest = async (requestId, actor, note) => {
+    const session = db.client.startSession();
+    try {
+      let accepted;
+      let claimedDonation;
+      let rejectedRequests = [];
+
+      await session.withTransaction(async () => {
+        const request = await requestsCollection.findOne({ _id: requestId }, { session });
+        if (!request) throw new ApiError(404, "Request not found");
+
+        const transition = await transitionStatus(
+          requestsCollection, REQUEST_TRANSITIONS, request, "Accepted", actor, { note, session }
+        );
+        if (!transition.ok) throw new ApiError(transition.code, transition.message);
+        accepted = request;
+
+        let donation = await donationsCollection.findOne({ _id: toDonationId(request.donationId) }, { session });
+        if (!donation) throw new ApiError(404, "Donation not found");
+
+        const claim = { requestId, charityEmail: request.charityEmail || null, at: new Date() };
+        if (typeof donation.remainingQuantity === "number") {
+          // the filter keeps remainingQuantity from going below zero when two accepts race
+          const amount = request.quantity ?? donation.remainingQuantity;
+          donation = await donationsCollection.findOneAndUpdate(
+            { _id: donation._id, status: { $in: REQUESTABLE_DONATION_STATUSES }, remainingQuantity: { $gte: amount } },
+            { $inc: { remainingQuantity: -amount }, $push: { claims: { ...claim, quantity: amount } } },
+            { session, returnDocument: "after" }
+          );
+          if (!donation) {
+            throw new ApiError(409, "Not enough of this donation is left for this request");
+          }
+        } else {
+          // no amount to split, the request takes the whole donation
+          if (!REQUESTABLE_DONATION_STATUSES.includes(donation.status)) {
+            throw new ApiError(409, `Donation is already ${donation.status} and cannot be claimed`);
+          }
+          donation = { ...donation, remainingQuantity: 0 };
+          claim.quantity = null;
+          await donationsCollection.updateOne({ _id: donation._id }, { $push: { claims: claim } }, { session });
+        }
+        claimedDonation = donation;
+
+        // requests for more than what's left can't be accepted any more
+        const nothingLeft = donation.remainingQuantity === 0;
+        const reason = nothingLeft
+          ? "The donation was fully claimed by other charities"
+          : "Not enough of the donation is left for this request";
+        const competing = {
+          donationId: request.donationId,
+          _id: { $ne: requestId },
+          status: "Pending",
+          ...(!nothingLeft && { quantity: { $gt: donation.remainingQuantity } }),
+        };
+        rejectedRequests = await requestsCollection.find(competing, { session }).toArray();
+        await requestsCollection.updateMany(
+          competing,
+          {
+            $set: { status: "Rejected", rejectionReason: reason, updatedAt: new Date() },
+            $push: { statusHistory: statusHistoryEntry("Rejected", SYSTEM_ACTOR, "Pending", reason) },
+          },
+          { session }
+        );
+
+        let to = "Accepted";
+        if (!nothingLeft) {
+          const stillPending = await requestsCollection.countDocuments({ donationId: request.donationId, status: "Pending" }, { session });
+          to = stillPending ? "Requested" : "Verified";
+        }
+        if (to !== donation.status) {
+          const moved = await transitionStatus(donationsCollection, DONATION_TRANSITIONS, donation, to, SYSTEM_ACTOR, { session });
+          if (!moved.ok) {
+            throw new ApiError(409, `Donation is already ${donation.status} and cannot be claimed`);
+          }
+        }
+      });
+
+      return { accepted, donation: claimedDonation, rejectedRequests };
+    } finally {
+      await session.endSession();
+    }
+  };
+
+  // Update request status (Accept / Reject)
+  router.patch("/requests/:id", verifyFBToken, verifyRestaurant, validate("PATCH /requests/:id"), authorize(loaders.request, "requestRestaurant"), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body; // "Accepted" or "Rejected"
+      const actor = req.actor;
+      const { request } = req.resources;
+
+      if (status === "Accepted") {
+        const { accepted, donation, rejectedRequests } = await acceptRequest(new ObjectId(id), actor, note);
+
+        const title = donation.title || accepted.donationTitle;
+        await publishStatusChange(accepted, "Accepted");
+        const claimed = accepted.quantity ? ` (${formatQuantity(accepted.quantity, donation.unit)})` : "";
+        await notificationService.notify(
+          accepted.charityEmail, "request.accepted",
+          `Your request for "${title}"${claimed} was accepted`,
+          { requestId: accepted._id, donationId: accepted.donationId }
+        );
+        await emailService.enqueue("request_accepted", accepted.charityEmail, {
+          charityName: accepted.charityName,
+          donationTitle: title,
+          restaurantName: donation.restaurantName,
+          pickupTime: donation.pickupTime,
+          location: donation.location,
+          quantity: accepted.quantity ? formatQuantity(accepted.quantity, donation.unit) : null,
+        });
+        for (const rejected of rejectedRequests) {
+          await publishStatusChange(rejected, "Rejected");
+          await notificationService.notify(
+            rejected.charityEmail, "request.rejected",
+            `Your request for "${title}" was declined: ${rejected.quantity && donation.remainingQuantity
+              ? `only ${formatQuantity(donation.remainingQuantity, donation.unit)} are left`
+              : "it was fully claimed by other charities"}`,
+            { requestId: rejected._id, donationId: rejected.donationId }
+          );
+        }
+
+        return res.json({
+          message: "Request updated",
+          status,
+          rejectedCount: rejectedRequests.length,
+          remainingQuantity: donation.remainingQuantity,
+        });
+      }
+
+      const transition = await transitionStatus(requestsCollection, REQUEST_TRANSITIONS, request, status, actor, { note });
+      if (!transition.ok) {
+        throw new ApiError(transition.code, transition.message);
+      }
+
+      // keep the donation in step with the request
+      await releaseDonation(request.donationId);
+
+      await publishStatusChange(request, status);
+      await notificationService.notify(
+        request.charityEmail, "request.rejected",
+        `Your request for "${request.donationTitle || "a donation"}" was declined${note ? `: ${note}` : ""}`,
+        { requestId: request._id, donationId: request.donationId }
+      );
+
+      res.json({ message: "Request updated", status });
+    } catch (err) {
+      if (isTransactionConflict(err)) {
+        return next(new ApiError(409, "This donation was claimed at the same time, please refresh"));
+      }
+      next(err);
+    }
+  });
+
+  // A pickup code for your accepted request, replacing any earlier one (charity).
+  // Shown only in this response, so it never sits in an email or the outbox.
+  router.post("/requests/:id/pickup-code", verifyFBToken, verifyCharity, validate("POST /requests/:id/pickup-code"), authorize(loaders.request, "requestCharity"), async (req, res, next) => {
+    try {
+      const { request } = req.resources;
+      const pickup = issuePickupCode(request._id);
+
+      const result = await requestsCollection.updateOne(
+        { _id: request._id, status: "Accepted" },
+        { $set: { pickupCode: pickup.pickupCode, updatedAt: new Date() } }
+      );
+      if (!result.matchedCount) {
+        throw new ApiError(400, "Pickup codes are only issued for accepted requests");
+      }
+
+      const { code, qrPayload, expiresAt } = pickup;
+      res.status(201).json({ code, qrPayload, expiresAt, maxAttempts: MAX_PICKUP_CODE_ATTEMPTS });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Confirm the handoff with the code the charity shows (restaurant).
+  // Records who handed the food over, who received it and when.
+  router.patch("/requests/:id/pickup", verifyFBToken, verifyRestaurant, validate("PATCH /requests/:id/pickup"), authorize(loaders.request, "requestRestaurant"), async (req, res, next) => {
+    try {
+      const actor = req.actor;
+      const { request, donation } = req.resources;
+
+      if (request.status !== "Accepted") {
+        throw new ApiError(400, `Request is ${request.status}, only accepted requests can be picked up`);
+      }
+
+      // count the attempt first, so parallel guesses can't get past the limit
+      let checked = request;
+      if (request.pickupCode) {
+        checked = await requestsCollection.findOneAndUpdate(
+          {
+            _id: request._id,
+            status: "Accepted",
+            "pickupCode.hash": request.pickupCode.hash,
+            "pickupCode.attempts": { $lt: MAX_PICKUP_CODE_ATTEMPTS },
+          },
+          { $inc: { "pickupCode.attempts": 1 } },
+          { returnDocument: "after" }
+        );
+        if (!checked) {
+          throw new ApiError(429, "Too many wrong pickup codes, the charity has to get a new one");
+        }
+      }
+      const check = checkPickupCode(request._id, checked.pickupCode, req.body.code);
+      if (!check.ok) {
+        throw new ApiError(check.code, check.message);
+      }
+
+      const handoff = {
+        handedOverBy: actor.email,
+        receivedBy: request.charityEmail,
+        receivedByName: request.charityName || null,
+        confirmedAt: new Date(),
+      };
+      const transition = await transitionStatus(
+        requestsCollection, REQUEST_TRANSITIONS, checked, "Picked Up", actor,
+        { set: { handoff, pickupCode: null } }
+      );
+      if (!transition.ok) {
+        throw new ApiError(transition.code, transition.message);
+      }
+
+      // the donation is picked up once it's fully claimed and every claim was collected
+      if (donation?.status === "Accepted") {
+        const uncollected = await requestsCollection.countDocuments({ donationId: request.donationId, status: "Accepted" });
+        if (!uncollected) {
+          await transitionStatus(donationsCollection, DONATION_TRANSITIONS, donation, "Picked Up", SYSTEM_ACTOR);
+        }
+      }
+
+      const updatedRequest = await requestsCollection.findOne({ _id: request._id }, { projection: PICKUP_CODE_PROJECTION });
+
+      const restaurantEmail = request.restaurantEmail || donation?.restaurantEmail;
+      const title = donation?.title || request.donationTitle;
+      await publishStatusChange(request, "Picked Up", restaurantEmail);
+      await eventService.publish("donation.picked_up", {
+        donationId: request.donationId,
+        requestId: request._id,
+        charityEmail: request.charityEmail,
+        pickedUpAt: handoff.confirmedAt,
+      }, {
+        emails: [restaurantEmail, request.charityEmail],
+        roles: ["admin"],
+      });
+      await notificationService.notify(
+        request.charityEmail, "request.picked_up",
+        `${donation?.restaurantName || "The restaurant"} confirmed your pickup of "${title}"`,
+        { requestId: request._id, donationId: request.donationId }
+      );
+      await emailService.enqueue("pickup_confirmed", restaurantEmail, {
+        restaurantName: donation?.restaurantName,
+        donationTitle: title,
+        charityName: request.charityName || request.charityEmail,
+        handedOverBy: handoff.handedOverBy,
+        pickedUpAt: handoff.confirmedAt,
+      });
+
+      res.json({
+        message: "Pickup confirmed successfully",
+        request: updatedRequest,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRequestsRouter;
@@ -0,0 +1,315 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+const { toGeoPoint } = require("../lib/geo");
+const { REQUESTABLE_DONATION_STATUSES } = require("../lib/lifecycle");
+const {
+  REQUEST_LISTING,
+  RESTAURANT_LISTING,
+  parseDateRange,
+  parseListQuery,
+  findPage,
+  sendPage,
+  notPastPickup,
+} = require("../lib/listing");
+const { RESTAURANT_EDITABLE_FIELDS } = require("../lib/restaurants");
+const { APPLICANT_PROJECTION } = require("../lib/applications");
+const { reportToCsv, writeReportPdf } = require("../services/reports");
+
+// ============================
+//  RESTAURANT APPLICATIONS
+// ============================
+
+const createRestaurantsRouter = ({ collections, middleware, emailService, auditService, reportService, applicationService }) => {
+  const router = express.Router();
+  const {
+    restaurantRequests: restaurantRequestsCollection,
+    restaurants: restaurantsCollection,
+    donations: donationsCollection,
+    requests: requestsCollection,
+  } = collections;
+  const { verifyFBToken, optionalFBToken, verifyAdmin, verifyRestaurant, getActor, loaders, authorize } = middleware;
+
+  //  become a restaurant (user can request, admin approve/reject)
+  router.post("/restaurant-requests", verifyFBToken, validate("POST /restaurant-requests"), async (req, res, next) => {
+    try {
+      const {
+        restaurantName,
+        about,
+        location,
+        openingTime,
+        closingTime,
+        foodType,
+        imageUrl,
+        ownerEmail,
+        restaurantEmail,
+        phone,
+        lat,
+        lng,
+      } = req.body;
+
+      if (!restaurantName || !about || !location || !openingTime || !closingTime || !foodType || !restaurantEmail || !phone || !ownerEmail) {
+        throw new ApiError(400, "All required fields must be provided");
+      }
+
+      if (ownerEmail !== req.decoded.email) {
+        throw new ApiError(403, "You can only apply with your own email");
+      }
+
+      // one application at a time; a rejected one is resubmitted (PUT /restaurant-requests/:id)
+      const exists = await applicationService.currentApplication("restaurant", ownerEmail);
+      if (exists) {
+        throw new ApiError(409, ["Pending", "Approved"].includes(exists.status)
+          ? "You already have a pending or approved request"
+          : "You already have an application, update and resubmit it instead");
+      }
+
+      const geo = toGeoPoint(lat, lng);
+      if ((lat || lng) && !geo) {
+        throw new ApiError(400, "Invalid coordinates");
+      }
+
+      const newRequest = {
+        restaurantName,
+        about,
+        location,
+        ...(geo && { geo }),
+        openingTime,
+        closingTime,
+        foodType,
+        imageUrl: imageUrl || null,
+        ownerEmail,
+        restaurantEmail,
+        phone,
+        status: "Pending",
+        createdAt: new Date(),
+      };
+
+      const result = await restaurantRequestsCollection.insertOne(newRequest);
+      await emailService.enqueue("application_received", ownerEmail, {
+        kind: "restaurant",
+        organization: restaurantName,
+      });
+      res.status(201).json({
+        message: "Restaurant request submitted successfully",
+        requestId: result.insertedId,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+  //  Get all restaurant requests (Admin only)
+
+
+  router.get("/restaurant-requests", verifyFBToken, verifyAdmin, validate("GET /restaurant-requests"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, REQUEST_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const page = await findPage(restaurantRequestsCollection, {}, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Approve restaurant request, or ask for more info / reject / revoke with ?status in the body
+  router.patch("/restaurant-requests/:id", verifyFBToken, verifyAdmin, validate("PATCH /restaurant-requests/:id"), async (req, res, next) => {
+    try {
+      const { status } = req.body;
+      const { application, restaurantId } = await applicationService.review("restaurant", req.params.id, req.body, req.user);
+      res.json({ message: `Restaurant request ${status}`, application, restaurantId });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // Reject restaurant request (kept for older clients, same as PATCH with status "Rejected").
+  // The application stays on record so the owner can see why and resubmit.
+  router.delete("/restaurant-requests/:id", verifyFBToken, verifyAdmin, validate("DELETE /restaurant-requests/:id"), async (req, res, next) => {
+    try {
+      const { application } = await applicationService.review(
+        "restaurant", req.params.id, { ...req.body, status: "Rejected" }, req.user
+      );
+      res.json({ message: "Restaurant request rejected", application });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Update and resubmit after Needs Info or a rejection (back to Pending)
+  router.put("/restaurant-requests/:id", verifyFBToken, validate("PUT /restaurant-requests/:id"), async (req, res, next) => {
+    try {
+      const { lat, lng, ...changes } = req.body;
+      if (lat !== undefined || lng !== undefined) {
+        const geo = toGeoPoint(lat, lng);
+        if (!geo) {
+          throw new ApiError(400, "Invalid coordinates");
+        }
+        changes.geo = geo;
+      }
+
+      const application = await applicationService.resubmit("restaurant", req.params.id, changes, req.decoded.email);
+      res.json(application);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  //  Get restaurant by ownerEmail
+  router.get("/restaurant-requests/owner/:email", verifyFBToken, validate("GET /restaurant-requests/owner/:email"), authorize(null, "self", "admin"), async (req, res, next) => {
+    try {
+      const email = req.params.email;
+      // the latest application; reviewer notes are for admins
+      const restaurant = await restaurantRequestsCollection.findOne(
+        { ownerEmail: email },
+        { sort: { createdAt: -1 }, ...(req.actor.role !== "admin" && { projection: APPLICANT_PROJECTION }) }
+      );
+
+      if (!restaurant) {
+        throw new ApiError(404, "Restaurant not found");
+      }
+
+      res.json(restaurant);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Impact report of your picked-up donations, ?format=csv|pdf
+  router.get("/restaurant/reports", verifyFBToken, verifyRestaurant, validate("GET /restaurant/reports"), async (req, res, next) => {
+    try {
+      const { range, error } = parseDateRange(req.query, "from", "to");
+      if (error) {
+        throw new ApiError(400, error);
+      }
+
+      const report = await reportService.restaurantReport(req.decoded.email, range);
+      const filename = `plateshare-report-${new Date().toISOString().slice(0, 10)}`;
+
+      if (req.query.format === "pdf") {
+        res.set("Content-Type", "application/pdf");
+        res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+        return writeReportPdf(report, res);
+      }
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      res.send(reportToCsv(report));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ============================
+  //  RESTAURANT PROFILES
+  // ============================
+
+  // Public list of restaurants on the platform
+  router.get("/restaurants", validate("GET /restaurants"), async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, RESTAURANT_LISTING);
+      if (listQuery.error) {
+        throw new ApiError(400, listQuery.error);
+      }
+
+      const page = await findPage(restaurantsCollection, { status: "Active" }, listQuery);
+      sendPage(res, page);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Your own restaurant profile
+  router.get("/restaurants/me", verifyFBToken, verifyRestaurant, validate("GET /restaurants/me"), async (req, res, next) => {
+    try {
+      const restaurant = await restaurantsCollection.findOne({ ownerEmail: req.decoded.email });
+      if (!restaurant) {
+        throw new ApiError(404, "Restaurant not found");
+      }
+      res.json(restaurant);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Public restaurant page: profile, donations open for requests, pickups so far and rating.
+  // Restaurants that aren't active (pending, deactivated, deleted) are only shown to admins.
+  router.get("/restaurants/:id", optionalFBToken, validate("GET /restaurants/:id"), async (req, res, next) => {
+    try {
+      const restaurant = await restaurantsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      const isAdmin = Boolean(req.decoded) && (await getActor(req)).roles.includes("admin");
+      if (!restaurant || (restaurant.status !== "Active" && !isAdmin)) {
+        throw new ApiError(404, "Restaurant not found");
+      }
+
+      const currentDonations = await donationsCollection
+        .find({
+          restaurantId: restaurant._id,
+          status: { $in: REQUESTABLE_DONATION_STATUSES },
+          ...notPastPickup(REQUESTABLE_DONATION_STATUSES),
+        })
+        .sort({ pickupAt: 1 })
+        .toArray();
+      // one per charity that collected food, a shared donation counts once for each
+      const pickupCount = await requestsCollection.countDocuments({ restaurantEmail: restaurant.ownerEmail, status: "Picked Up" });
+
+      res.json({
+        restaurant,
+        currentDonations,
+        pickupCount,
+        rating: restaurant.rating || { average: null, count: 0 },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Edit hours, food types, image and contact details (owner or admin)
+  router.patch("/restaurants/:id", verifyFBToken, validate("PATCH /restaurants/:id"), authorize(loaders.restaurant, "restaurantOwner", "admin"), async (req, res, next) => {
+    try {
+      const { restaurant } = req.resources;
+      const { lat, lng } = req.body;
+
+      const updateData = {};
+      for (const field of RESTAURANT_EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
+      if (lat !== undefined || lng !== undefined) {
+        const point = toGeoPoint(lat, lng);
+        if (!point) {
+          throw new ApiError(400, "Invalid coordinates");
+        }
+        updateData.geo = point;
+      }
+
+      const updated = await restaurantsCollection.findOneAndUpdate(
+        { _id: restaurant._id },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      if (req.actor.role === "admin") {
+        await auditService.record({
+          actor: req.actor,
+          action: "restaurant.edited",
+          target: { type: "restaurant", id: restaurant._id },
+          before: Object.fromEntries(Object.keys(updateData).map((field) => [field, restaurant[field] ?? null])),
+          after: updateData,
+        });
+      }
+
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRestaurantsRouter;
@@ -0,0 +1,246 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+
+// ============================
+//  REVIEWS
+// ============================
+
+const createReviewsRouter = ({ collections, middleware, auditService }) => {
+  const router = express.Router();
+  const {
+    reviews: reviewsCollection,
+    requests: requestsCollection,
+    donations: donationsCollection,
+    restaurants: restaurantsCollection,
+  } = collections;
+  const { verifyFBToken, verifyAdmin, verifyCharity, loaders, authorize } = middleware;
+
+  // Hidden reviews don't count and aren't shown
+  const visible = { status: { $ne: "Hidden" } };
+
+  // Recompute a restaurant's average rating and review count from its visible reviews
+  const refreshRestaurantRating = async (restaurantEmail) => {
+    if (!restaurantEmail) return null;
+    const [stats] = await reviewsCollection.aggregate([
+      { $match: { restaurantEmail, ...visible } },
+      { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ]).toArray();
+
+    const rating = {
+      average: stats ? Math.round(stats.average * 10) / 10 : null,
+      count: stats?.count || 0,
+    };
+    await restaurantsCollection.updateOne({ ownerEmail: restaurantEmail }, { $set: { rating } });
+    return rating;
+  };
+
+  //  POST: Add a review (only a charity that picked the donation up)
+  router.post("/reviews", verifyFBToken, verifyCharity, validate("POST /reviews"), async (req, res, next) => {
+    try {
+      const { donationId, description, rating } = req.body;
+      const reviewerEmail = req.decoded.email;
+
+      const donation = await donationsCollection.findOne({ _id: new ObjectId(donationId) });
+      if (!donation) {
+        throw new ApiError(404, "Donation not found");
+      }
+
+      // requests may hold the donationId as a string or an ObjectId
+      const pickup = await requestsCollection.findOne({
+        donationId: { $in: [donationId, donation._id] },
+        charityEmail: reviewerEmail,
+        status: "Picked Up",
+      });
+      if (!pickup) {
+        throw new ApiError(403, "You can only review donations you picked up");
+      }
+
+      const earlier = await reviewsCollection.findOne({ donationId: donation._id, reviewerEmail });
+      if (earlier?.status === "Hidden") {
+        throw new ApiError(409, "Your review of this donation was hidden by a moderator and can't be posted again");
+      }
+
+      const reviewDoc = {
+        donationId: donation._id,
+        restaurantEmail: donation.restaurantEmail,
+        reviewerEmail,
+        reviewerName: req.user.name || req.decoded.name || reviewerEmail,
+        description,
+        rating,
+        status: "Published",
+        reportCount: 0,
+        createdAt: new Date(),
+      };
+
+      // one review per charity per donation (unique index => 409)
+      const result = await reviewsCollection.insertOne(reviewDoc);
+      const restaurantRating = await refreshRestaurantRating(donation.restaurantEmail);
+
+      res.status(201).json({
+        insertedId: result.insertedId,
+        ...reviewDoc,
+        restaurantRating,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // A restaurant's rating and visible reviews
+  router.get("/reviews/restaurant/:email", validate("GET /reviews/restaurant/:email"), async (req, res, next) => {
+    try {
+      const restaurantEmail = req.params.email;
+      const reviews = await reviewsCollection
+        .find({ restaurantEmail, ...visible }, { projection: { reports: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+      const restaurant = await restaurantsCollection.findOne(
+        { ownerEmail: restaurantEmail },
+        { projection: { rating: 1 } }
+      );
+
+      res.json({
+        rating: restaurant?.rating || { average: null, count: 0 },
+        reviews,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Edit your own review
+  router.patch("/reviews/:id", verifyFBToken, validate("PATCH /reviews/:id"), authorize(loaders.review, "reviewAuthor"), async (req, res, next) => {
+    try {
+      const { review } = req.resources;
+      const changes = {};
+      if (req.body.description !== undefined) changes.description = req.body.description;
+      if (req.body.rating !== undefined) changes.rating = req.body.rating;
+
+      const updated = await reviewsCollection.findOneAndUpdate(
+        { _id: review._id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: "after", projection: { reports: 0 } }
+      );
+      const restaurantRating = await refreshRestaurantRating(review.restaurantEmail);
+
+      res.json({ ...updated, restaurantRating });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Delete your own review (admins can too). A review hidden by a moderator stays behind
+  // without its text, whoever deletes it, so it can't be posted again to get around the moderation.
+  router.delete("/reviews/:id", verifyFBToken, validate("DELETE /reviews/:id"), authorize(loaders.review, "reviewAuthor", "admin"), async (req, res, next) => {
+    try {
+      const { review } = req.resources;
+
+      let result;
+      if (review.status === "Hidden") {
+        const tombstone = await reviewsCollection.updateOne(
+          { _id: review._id },
+          { $set: { description: null, deletedAt: new Date() } }
+        );
+        result = { deletedCount: tombstone.modifiedCount };
+      } else {
+        result = await reviewsCollection.deleteOne({ _id: review._id });
+      }
+      const restaurantRating = await refreshRestaurantRating(review.restaurantEmail);
+
+      if (req.actor.email !== review.reviewerEmail) {
+        await auditService.record({
+          actor: req.actor,
+          action: "review.deleted",
+          target: { type: "review", id: review._id },
+          before: { reviewerEmail: review.reviewerEmail, rating: review.rating, description: review.description },
+        });
+      }
+
+      res.json({ message: "Review deleted", deletedCount: result.deletedCount, restaurantRating });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Report a review for moderation (once per user)
+  router.post("/reviews/:id/report", verifyFBToken, validate("POST /reviews/:id/report"), async (req, res, next) => {
+    try {
+      const reporterEmail = req.decoded.email;
+      const result = await reviewsCollection.updateOne(
+        { _id: new ObjectId(req.params.id), deletedAt: { $exists: false }, "reports.reporterEmail": { $ne: reporterEmail } },
+        {
+          $push: { reports: { reporterEmail, reason: req.body.reason, at: new Date() } },
+          $inc: { reportCount: 1 },
+          $set: { flagged: true },
+        }
+      );
+
+      if (!result.matchedCount) {
+        const exists = await reviewsCollection.countDocuments({ _id: new ObjectId(req.params.id), deletedAt: { $exists: false } });
+        throw exists
+          ? new ApiError(409, "You already reported this review")
+          : new ApiError(404, "Review not found");
+      }
+
+      res.status(201).json({ message: "Review reported, an admin will look at it" });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Moderation queue: reported reviews, most reported first (admin)
+  router.get("/admin/reviews/reported", verifyFBToken, verifyAdmin, validate("GET /admin/reviews/reported"), async (req, res, next) => {
+    try {
+      const reviews = await reviewsCollection
+        .find({ flagged: true })
+        .sort({ reportCount: -1, createdAt: -1 })
+        .toArray();
+      res.json(reviews);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Resolve reports: hide the review, restore a hidden one, or dismiss the reports (admin)
+  router.patch("/admin/reviews/:id", verifyFBToken, verifyAdmin, validate("PATCH /admin/reviews/:id"), async (req, res, next) => {
+    try {
+      const { action, note } = req.body;
+      const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $exists: false } });
+      if (!review) {
+        throw new ApiError(404, "Review not found");
+      }
+
+      const status = { hide: "Hidden", restore: "Published", dismiss: review.status || "Published" }[action];
+      const updated = await reviewsCollection.findOneAndUpdate(
+        { _id: review._id },
+        {
+          $set: {
+            status,
+            flagged: false,
+            moderation: { action, note: note || null, by: req.decoded.email, at: new Date() },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      const restaurantRating = await refreshRestaurantRating(review.restaurantEmail);
+
+      await auditService.record({
+        actor: req.user,
+        action: `review.${action}`,
+        target: { type: "review", id: review._id },
+        before: { status: review.status || "Published", reportCount: review.reportCount || 0 },
+        after: { status },
+        note: note || null,
+      });
+
+      res.json({ ...updated, restaurantRating });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createReviewsRouter;
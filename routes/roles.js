@@ -0,0 +1,154 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+const { APPLICANT_PROJECTION } = require("../lib/applications");
+
+// ============================
+//  CHARITY ROLE REQUESTS
+// ============================
+
+const createRolesRouter = ({ collections, middleware, paymentService, emailService, applicationService }) => {
+  const router = express.Router();
+  const { roleRequests: roleRequestsCollection } = collections;
+  const { verifyFBToken, verifyAdmin, verifyCharity } = middleware;
+  const { confirmPayment } = paymentService;
+
+  // Save a charity role request once its payment is confirmed (status: Pending)
+  const saveRoleRequest = async (req, res, next) => {
+    try {
+      const { email, name, organization, mission, transactionId } = req.body;
+      if (email !== req.decoded.email) {
+        throw new ApiError(403, 'You can only apply with your own email.');
+      }
+
+      // one application at a time; a rejected one is resubmitted (PUT /role-requests/:id)
+      const exists = await applicationService.currentApplication('charity', email);
+      if (exists) {
+        throw new ApiError(409, ['Pending', 'Approved'].includes(exists.status)
+          ? 'You already have a pending or approved request.'
+          : 'You already have an application, update and resubmit it instead.');
+      }
+
+      const transaction = await confirmPayment(transactionId, email, 'charity-role');
+      if (!transaction) {
+        throw new ApiError(402, 'Payment has not been confirmed for this email.');
+      }
+
+      // one payment can only back one role request
+      const used = await roleRequestsCollection.findOne({ transactionId });
+      if (used) throw new ApiError(409, 'This payment has already been used.');
+
+      const doc = {
+        email, name, organization, mission,
+        amount: transaction.amount,
+        transactionId,
+        status: 'Pending',
+        createdAt: new Date()
+      };
+      const result = await roleRequestsCollection.insertOne(doc);
+      await emailService.enqueue("application_received", email, { name, kind: "charity", organization });
+      res.send({ insertedId: result.insertedId });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Status of the current application; applicants also get its id and the reason if it needs info or was rejected
+  const sendApplicationStatus = async (req, res) => {
+    const existing = await applicationService.currentApplication('charity', req.query.email);
+    const own = req.query.email === req.decoded.email;
+    res.send({
+      status: existing?.status || null,
+      ...(own && { id: existing?._id || null, reason: existing?.reason || null }),
+    });
+  };
+
+  // after your existing role-requests endpoints:
+  router.get('/charity-requests/status', verifyFBToken, validate("GET /charity-requests/status"), sendApplicationStatus);
+
+  // same logic as /role-requests
+  router.post('/charity-requests', verifyFBToken, validate("POST /charity-requests"), saveRoleRequest);
+
+  // 2) Check existing request status
+  router.get('/role-requests/status', verifyFBToken, validate("GET /role-requests/status"), sendApplicationStatus);
+
+  // 3) Save role request (status: Pending)
+  router.post('/role-requests', verifyFBToken, validate("POST /role-requests"), saveRoleRequest);
+
+  // 4) Update and resubmit after Needs Info or a rejection (back to Pending)
+  router.put('/role-requests/:id', verifyFBToken, validate("PUT /role-requests/:id"), async (req, res, next) => {
+    try {
+      const application = await applicationService.resubmit('charity', req.params.id, req.body, req.decoded.email);
+      res.json(application);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ============================
+  //  ROLE REQUESTS MANAGEMENT
+  // ============================
+
+  // Get all role requests (admin only)
+  router.get("/role-requests", verifyFBToken, verifyAdmin, validate("GET /role-requests"), async (req, res, next) => {   // ✅ NEW
+    try {
+      const requests = await roleRequestsCollection
+        .find()
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(requests);
+    } catch (err) {
+      next(err);
+    }
+
+  });
+
+  // Get all requests made by a specific charity
+  router.get("/role-requests/my-requests", verifyFBToken, verifyCharity, validate("GET /role-requests/my-requests"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email;
+      const requests = await roleRequestsCollection
+        .find({ email }, { projection: APPLICANT_PROJECTION })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(requests);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Delete a request (only if Pending)
+  router.delete("/role-requests/:id", verifyFBToken, validate("DELETE /role-requests/:id"), async (req, res, next) => {
+    try {
+      const email = req.decoded.email;
+      const { id } = req.params;
+
+      const request = await roleRequestsCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!request) throw new ApiError(404, "Request not found");
+      if (request.email !== email) throw new ApiError(403, "Forbidden");
+      if (request.status !== "Pending") throw new ApiError(400, "Only pending requests can be deleted");
+
+      const result = await roleRequestsCollection.deleteOne({ _id: new ObjectId(id) });
+      res.json({ message: "Request deleted successfully", deletedCount: result.deletedCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // Ask for more info, approve, reject or revoke a role request (admin only)
+  router.patch("/role-requests/:id", verifyFBToken, verifyAdmin, validate("PATCH /role-requests/:id"), async (req, res, next) => {  // ✅ NEW
+    try {
+      const { status } = req.body; // "Needs Info" | "Approved" | "Rejected" | "Revoked"
+      const { application, refund } = await applicationService.review('charity', req.params.id, req.body, req.user);
+      res.json({ message: `Request ${status}`, application, refund });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRolesRouter;
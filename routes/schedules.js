@@ -0,0 +1,242 @@
+const express = require("express");
+const { ApiError, validate, pick } = require("../lib/validation");
+const { DONATION_TRANSITIONS, transitionStatus } = require("../lib/lifecycle");
+const { toGeoPoint } = require("../lib/geo");
+const { INVALID_QUANTITY_MESSAGE, toQuantity } = require("../lib/quantity");
+const {
+  SCHEDULE_TEMPLATE_FIELDS,
+  DEFAULT_SCHEDULE_TIMEZONE,
+  isValidTimezone,
+  pickupWindow,
+} = require("../lib/schedules");
+const { materializeDonationSchedules } = require("../jobs/materializeSchedules");
+
+// Check a schedule (new, or an existing one with `changes` applied) against the restaurant
+// and return what to store. Throws an ApiError for anything that can't be scheduled.
+const prepareSchedule = (restaurant, current, changes) => {
+  const fields = pick(changes, [...SCHEDULE_TEMPLATE_FIELDS, "recurrence", "timezone", "startDate", "endDate", "status"]);
+  const schedule = { ...current, ...fields };
+
+  if (changes.quantity !== undefined || changes.unit !== undefined) {
+    const amount = toQuantity(schedule.quantity, changes.unit, current.unit);
+    if (!amount) {
+      throw new ApiError(400, INVALID_QUANTITY_MESSAGE);
+    }
+    Object.assign(fields, { quantity: amount.amount, unit: amount.unit });
+  }
+
+  if (changes.lat !== undefined || changes.lng !== undefined) {
+    const geo = toGeoPoint(changes.lat, changes.lng);
+    if (!geo) {
+      throw new ApiError(400, "Invalid coordinates");
+    }
+    fields.geo = geo;
+  }
+
+  if (!isValidTimezone(schedule.timezone)) {
+    throw new ApiError(400, `Unknown timezone "${schedule.timezone}", use an IANA name like Asia/Dhaka`);
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    throw new ApiError(400, "endDate can't be before startDate");
+  }
+
+  // the food has to be ready while the restaurant is open
+  const window = pickupWindow(schedule.recurrence, restaurant);
+  if (window.error) {
+    throw new ApiError(400, window.error);
+  }
+  return fields;
+};
+
+// ============================
+//  RECURRING DONATION SCHEDULES
+// ============================
+
+const createSchedulesRouter = (context) => {
+  const { collections, middleware, auditService } = context;
+  const router = express.Router();
+  const {
+    donationSchedules: schedulesCollection,
+    donations: donationsCollection,
+    restaurants: restaurantsCollection,
+  } = collections;
+  const { verifyFBToken, verifyAdmin, verifyRestaurant, loaders, authorize } = middleware;
+
+  const findOwnRestaurant = async (email) => {
+    const restaurant = await restaurantsCollection.findOne({ ownerEmail: email, status: "Active" });
+    if (!restaurant) {
+      throw new ApiError(403, "Your restaurant profile is not active");
+    }
+    return restaurant;
+  };
+
+  // Set up a recurring donation (restaurant)
+  router.post("/donation-schedules", verifyFBToken, verifyRestaurant, validate("POST /donation-schedules"), async (req, res, next) => {
+    try {
+      const restaurant = await findOwnRestaurant(req.decoded.email);
+      const defaults = {
+        location: restaurant.location,
+        timezone: DEFAULT_SCHEDULE_TIMEZONE,
+        imageUrl: null,
+        startDate: null,
+        endDate: null,
+      };
+      const fields = prepareSchedule(restaurant, defaults, req.body);
+
+      const now = new Date();
+      const schedule = {
+        ...defaults,
+        ...fields,
+        restaurantId: restaurant._id,
+        restaurantEmail: restaurant.ownerEmail,
+        status: "Active",
+        skipDates: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      const result = await schedulesCollection.insertOne(schedule);
+
+      res.status(201).json({ insertedId: result.insertedId, ...schedule });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Your schedules (restaurant)
+  router.get("/donation-schedules", verifyFBToken, verifyRestaurant, validate("GET /donation-schedules"), async (req, res, next) => {
+    try {
+      const schedules = await schedulesCollection
+        .find({ restaurantEmail: req.decoded.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(schedules);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // One schedule with the donations it posted, newest first
+  router.get("/donation-schedules/:id", verifyFBToken, validate("GET /donation-schedules/:id"), authorize(loaders.schedule, "scheduleOwner", "admin"), async (req, res, next) => {
+    try {
+      const { schedule } = req.resources;
+      const donations = await donationsCollection
+        .find({ scheduleId: schedule._id }, { projection: { statusHistory: 0 } })
+        .sort({ occurrenceDate: -1 })
+        .limit(30)
+        .toArray();
+      res.json({ ...schedule, donations });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Edit the series, or pause / resume it (status). Donations already posted stay as they are.
+  router.patch("/donation-schedules/:id", verifyFBToken, validate("PATCH /donation-schedules/:id"), authorize(loaders.schedule, "scheduleOwner"), async (req, res, next) => {
+    try {
+      const { schedule } = req.resources;
+      const restaurant = await findOwnRestaurant(schedule.restaurantEmail);
+      const changes = prepareSchedule(restaurant, schedule, req.body);
+      if (!Object.keys(changes).length) {
+        throw new ApiError(400, "Nothing to update");
+      }
+
+      const updated = await schedulesCollection.findOneAndUpdate(
+        { _id: schedule._id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // End the series (owner or admin). Donations already posted stay.
+  router.delete("/donation-schedules/:id", verifyFBToken, validate("DELETE /donation-schedules/:id"), authorize(loaders.schedule, "scheduleOwner", "admin"), async (req, res, next) => {
+    try {
+      const { schedule } = req.resources;
+      const result = await schedulesCollection.deleteOne({ _id: schedule._id });
+
+      if (req.actor.email !== schedule.restaurantEmail) {
+        await auditService.record({
+          actor: req.actor,
+          action: "donation_schedule.deleted",
+          target: { type: "donationSchedule", id: schedule._id },
+          before: { restaurantEmail: schedule.restaurantEmail, title: schedule.title, recurrence: schedule.recurrence },
+        });
+      }
+
+      res.json({ message: "Schedule deleted", deletedCount: result.deletedCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Skip one date of the series (e.g. a holiday). If that date's donation was already
+  // posted and nobody has requested or claimed it yet, it is cancelled.
+  router.post("/donation-schedules/:id/skips", verifyFBToken, validate("POST /donation-schedules/:id/skips"), authorize(loaders.schedule, "scheduleOwner"), async (req, res, next) => {
+    try {
+      const { schedule } = req.resources;
+      const { date } = req.body;
+
+      await schedulesCollection.updateOne(
+        { _id: schedule._id },
+        { $addToSet: { skipDates: date }, $set: { updatedAt: new Date() } }
+      );
+
+      let cancelledDonationId = null;
+      const posted = await donationsCollection.findOne({ scheduleId: schedule._id, occurrenceDate: date });
+      // Verified with claims: part of it was already promised to a charity
+      if (posted && ["Pending", "Verified"].includes(posted.status) && !posted.claims?.length) {
+        const transition = await transitionStatus(
+          donationsCollection, DONATION_TRANSITIONS, posted, "Cancelled", req.actor, { note: "Skipped in the schedule" }
+        );
+        if (transition.ok) cancelledDonationId = posted._id;
+      }
+
+      res.status(201).json({
+        message: posted && !cancelledDonationId
+          ? `Date skipped. The donation already posted for ${date} has requests, cancel it from the donation if you need to`
+          : "Date skipped",
+        date,
+        cancelledDonationId,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Un-skip a date
+  router.delete("/donation-schedules/:id/skips/:date", verifyFBToken, validate("DELETE /donation-schedules/:id/skips/:date"), authorize(loaders.schedule, "scheduleOwner"), async (req, res, next) => {
+    try {
+      const { schedule } = req.resources;
+      const result = await schedulesCollection.updateOne(
+        { _id: schedule._id },
+        { $pull: { skipDates: req.params.date }, $set: { updatedAt: new Date() } }
+      );
+      res.json({ message: "Date restored", modifiedCount: result.modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Post the donations that are due, on demand (background jobs, see index.js)
+  router.post("/admin/run-donation-schedules", verifyFBToken, verifyAdmin, validate("POST /admin/run-donation-schedules"), async (req, res, next) => {
+    try {
+      const result = await materializeDonationSchedules(context);
+      await auditService.record({
+        actor: req.user,
+        action: "donation_schedules.run",
+        target: { type: "donationSchedule" },
+        after: result,
+      });
+      res.json({ message: "Schedules run finished", ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSchedulesRouter;
@@ -0,0 +1,76 @@
+const express = require("express");
+const { ApiError, validate } = require("../lib/validation");
+const { REQUESTABLE_DONATION_STATUSES } = require("../lib/lifecycle");
+const { notPastPickup } = require("../lib/listing");
+const {
+  MAX_SEARCH_LENGTH,
+  SEARCH_RESULTS_PER_TYPE,
+  parseSearchQuery,
+  findHighlights,
+} = require("../lib/search");
+
+// ============================
+//  SEARCH
+// ============================
+
+const createSearchRouter = ({ collections }) => {
+  const router = express.Router();
+  const {
+    donations: donationsCollection,
+    restaurants: restaurantsCollection,
+    roleRequests: roleRequestsCollection,
+  } = collections;
+
+  // Public search across donations, restaurants and approved charities
+  router.get("/search", validate("GET /search"), async (req, res, next) => {
+    const q = parseSearchQuery(req.query.q);
+    if (!q) {
+      throw new ApiError(400, `q is required (max ${MAX_SEARCH_LENGTH} characters)`);
+    }
+
+    const targets = {
+      donations: {
+        collection: donationsCollection,
+        filter: { status: { $in: REQUESTABLE_DONATION_STATUSES }, ...notPastPickup(REQUESTABLE_DONATION_STATUSES) },
+        fields: ["title", "foodType"],
+        projection: { title: 1, foodType: 1, quantity: 1, pickupTime: 1, restaurantName: 1, location: 1, imageUrl: 1, status: 1 },
+      },
+      restaurants: {
+        collection: restaurantsCollection,
+        filter: { status: "Active" },
+        fields: ["restaurantName", "about"],
+        projection: { restaurantName: 1, about: 1, location: 1, foodType: 1, imageUrl: 1, openingTime: 1, closingTime: 1 },
+      },
+      charities: {
+        collection: roleRequestsCollection,
+        filter: { status: "Approved" },
+        fields: ["organization", "mission"],
+        projection: { organization: 1, mission: 1, name: 1 },
+      },
+    };
+
+    try {
+      const results = {};
+      for (const [type, target] of Object.entries(targets)) {
+        const docs = await target.collection
+          .find(
+            { ...target.filter, $text: { $search: q } },
+            { projection: { ...target.projection, score: { $meta: "textScore" } } }
+          )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(SEARCH_RESULTS_PER_TYPE)
+          .toArray();
+
+        results[type] = docs.map((doc) => ({ ...doc, ...findHighlights(doc, target.fields, q) }));
+      }
+
+      res.json({ q, results });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSearchRouter;
@@ -0,0 +1,206 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ApiError, validate } = require("../lib/validation");
+const { SEARCH_RESULTS_PER_TYPE, parseSearchQuery, escapeRegex } = require("../lib/search");
+const { userRoles } = require("../lib/roles");
+
+// ============================
+//  USERS
+// ============================
+
+const createUsersRouter = ({ collections, middleware, auditService, roleService, accountService }) => {
+  const router = express.Router();
+  const { users: usersCollection } = collections;
+  const { verifyFBToken, verifyAdmin } = middleware;
+
+  // ✅ Register user
+  router.post("/users", validate("POST /users"), async (req, res) => {
+    const { name, email, profileLink } = req.body;
+
+    if (!name || !email) {
+      throw new ApiError(400, "Name and Email are required");
+    }
+
+    const existingUser = await usersCollection.findOne({ email });
+    if (existingUser) {
+      throw new ApiError(409, "User already exists");
+    }
+
+    const newUser = {
+      name,
+      email,
+      profileLink: profileLink || null,
+      role: "user", // default role
+      roles: [],
+      createdAt: new Date(),
+    };
+
+    const result = await usersCollection.insertOne(newUser);
+    res.status(201).json({ message: "User registered successfully", userId: result.insertedId });
+  });
+
+  // ✅ Get all users (admin)
+  router.get("/users", verifyFBToken, verifyAdmin, validate("GET /users"), async (req, res) => {
+    const users = await usersCollection.find().toArray();
+    res.json(users);
+  });
+
+  // Fetch logged-in charity profile
+  // Fetch all charity users (admin or logged-in users can access)
+  router.get("/users/charities", verifyFBToken, validate("GET /users/charities"), async (req, res, next) => {
+    try {
+      const charityUsers = await usersCollection
+        .find({ roles: "charity" })
+        .toArray();
+      res.json(charityUsers);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+
+  // ============================
+  //  YOUR ACCOUNT
+  // ============================
+
+  // Update your name / profile link
+  router.patch("/users/me", verifyFBToken, validate("PATCH /users/me"), async (req, res, next) => {
+    try {
+      const updateData = {};
+      for (const field of ["name", "profileLink"]) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
+      if (!Object.keys(updateData).length) {
+        throw new ApiError(400, "Nothing to update");
+      }
+
+      const user = await usersCollection.findOneAndUpdate(
+        { email: req.decoded.email },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!user) {
+        throw new ApiError(404, "User not found");
+      }
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Download everything tied to your account as one JSON file
+  router.get("/users/me/export", verifyFBToken, validate("GET /users/me/export"), async (req, res, next) => {
+    try {
+      const data = await accountService.exportData(req.decoded.email);
+      res.set("Content-Disposition", `attachment; filename="plateshare-data-${new Date().toISOString().slice(0, 10)}.json"`);
+      res.json(data);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Delete your account, your sign-in included
+  router.delete("/users/me", verifyFBToken, validate("DELETE /users/me"), async (req, res, next) => {
+    try {
+      const result = await accountService.deleteAccount(req.decoded.email);
+      res.json({ message: "Account deleted", ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ✅ Single user by email (keep after search)
+  router.get("/users/search", verifyFBToken, verifyAdmin, validate("GET /users/search"), async (req, res, next) => {
+    const q = parseSearchQuery(req.query.q);
+    if (!q) return res.json([]);
+
+    try {
+      const users = await usersCollection
+        .find({ $text: { $search: q } }, { projection: { score: { $meta: "textScore" } } })
+        .sort({ score: { $meta: "textScore" } })
+        .toArray();
+
+      // text search splits emails into words, so also match an escaped email prefix
+      const byEmail = await usersCollection
+        .find({ email: { $regex: `^${escapeRegex(q)}`, $options: "i" } })
+        .limit(SEARCH_RESULTS_PER_TYPE)
+        .toArray();
+      const seen = new Set(users.map((user) => user._id.toString()));
+      users.push(...byEmail.filter((user) => !seen.has(user._id.toString())));
+
+      res.json(users);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ✅ Allow any authenticated user to get their own profile
+  router.get("/users/:email", verifyFBToken, validate("GET /users/:email"), async (req, res) => {
+    // console.log("Decoded token:", req.headers);
+    const email = req.params.email;
+
+    // Make sure user can only fetch their own data
+    if (req.decoded.email !== email) {
+      throw new ApiError(403, "Forbidden");
+    }
+
+    const user = await usersCollection.findOne({ email });
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    res.json(user);
+  });
+
+  router.get("/users/:id/role", validate("GET /users/:id/role"), async (req, res) => {
+    const { id } = req.params;
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    res.json(user);
+  });
+  // admin can update without payment the role of the user 
+  // { roles: [...] } sets every role the user holds, { role } (older clients) makes it their only one
+  router.patch("/users/:id/role", verifyFBToken, verifyAdmin, validate("PATCH /users/:id/role"), async (req, res) => {
+    const { id } = req.params;
+    const { role, roles } = req.body; // "admin" | "restaurant" | "charity", "user" => none
+    if (!role && !roles) {
+      throw new ApiError(400, "role or roles is required");
+    }
+
+    // the restaurant role comes with an approved restaurant application, which also sets up
+    // the restaurant profile the restaurant routes work from
+    const nextRoles = roles || [role];
+    if (nextRoles.includes("restaurant")) {
+      const target = await usersCollection.findOne({ _id: new ObjectId(id) });
+      if (target && !userRoles(target).includes("restaurant")) {
+        throw new ApiError(400, "The restaurant role is granted by approving the user's restaurant application");
+      }
+    }
+
+    const updated = await roleService.setRoles(new ObjectId(id), nextRoles);
+    if (!updated) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const { before, user } = updated;
+    await auditService.record({
+      actor: req.user,
+      action: "user.role_changed",
+      target: { type: "user", id: user._id },
+      before: { email: user.email, roles: userRoles(before) },
+      after: { email: user.email, roles: user.roles },
+    });
+    const changed = [...user.roles].sort().join() !== [...userRoles(before)].sort().join();
+    res.json({ modifiedCount: changed ? 1 : 0, role: user.role, roles: user.roles });
+  });
+
+  return router;
+};
+
+module.exports = createUsersRouter;
@@ -0,0 +1,208 @@
+const { ApiError } = require("../lib/validation");
+const {
+  DONATION_TRANSITIONS,
+  REQUEST_TRANSITIONS,
+  SYSTEM_ACTOR,
+  transitionStatus,
+  releaseDonationIfUnclaimed,
+} = require("../lib/lifecycle");
+const { APPLICANT_PROJECTION } = require("../lib/applications");
+const { PICKUP_CODE_PROJECTION } = require("../lib/pickupCodes");
+
+// Records that have to outlive the account (donations, requests, reviews, applications,
+// payments) keep this in place of the email and name
+const DELETED_USER_NAME = "Deleted user";
+const deletedUserId = (user) => `deleted-user-${user._id}`;
+
+// Self-service account data: export everything tied to an email, and delete the account
+const createAccountService = ({ collections, auth, notificationService }) => {
+  const {
+    users,
+    favorites,
+    reviews,
+    requests,
+    roleRequests,
+    restaurantRequests,
+    restaurants,
+    transactions,
+    donations,
+    notifications,
+    emailOutbox,
+    donationSchedules,
+  } = collections;
+
+  const findUser = async (email) => {
+    const user = await users.findOne({ email });
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+    return user;
+  };
+
+  // One JSON bundle with the account and everything it touched
+  const exportData = async (email) => {
+    const user = await findUser(email);
+    const [
+      favoriteList, reviewList, requestList, charityApplications, restaurantApplications,
+      restaurant, transactionList, donationList, notificationList, scheduleList,
+    ] = await Promise.all([
+      favorites.find({ ownerEmail: email }).toArray(),
+      reviews.find({ reviewerEmail: email }, { projection: { reports: 0 } }).toArray(),
+      requests.find({ charityEmail: email }, { projection: PICKUP_CODE_PROJECTION }).toArray(),
+      roleRequests.find({ email }, { projection: APPLICANT_PROJECTION }).toArray(),
+      restaurantRequests.find({ ownerEmail: email }, { projection: APPLICANT_PROJECTION }).toArray(),
+      restaurants.findOne({ ownerEmail: email }),
+      transactions.find({ email }).toArray(),
+      donations.find({ restaurantEmail: email }).toArray(),
+      notifications.find({ recipientEmail: email }).toArray(),
+      donationSchedules.find({ restaurantEmail: email }).toArray(),
+    ]);
+
+    return {
+      exportedAt: new Date(),
+      profile: user,
+      favorites: favoriteList,
+      reviews: reviewList,
+      requests: requestList,
+      applications: { charity: charityApplications, restaurant: restaurantApplications },
+      restaurant,
+      transactions: transactionList,
+      donations: donationList,
+      notifications: notificationList,
+      donationSchedules: scheduleList,
+    };
+  };
+
+  // Close out open requests and donations so nobody waits on a deleted account
+  const closeOpenWork = async (user) => {
+    const { email } = user;
+    const reason = "Account deleted";
+
+    // the charity's pending requests are withdrawn
+    const pending = await requests.find({ charityEmail: email, status: "Pending" }).toArray();
+    for (const request of pending) {
+      const transition = await transitionStatus(requests, REQUEST_TRANSITIONS, request, "Cancelled", SYSTEM_ACTOR, { note: reason });
+      if (!transition.ok) continue;
+      await releaseDonationIfUnclaimed(collections, request.donationId);
+      await notificationService.notify(
+        request.restaurantEmail, "request.cancelled",
+        `${request.charityName || "A charity"} withdrew their request for "${request.donationTitle || "your donation"}"`,
+        { requestId: request._id, donationId: request.donationId }
+      );
+    }
+
+    // the restaurant's open donations are cancelled, and the requests for them rejected
+    const openDonations = await donations
+      .find({ restaurantEmail: email, status: { $in: ["Pending", "Verified", "Requested"] } })
+      .toArray();
+    for (const donation of openDonations) {
+      const transition = await transitionStatus(
+        donations, DONATION_TRANSITIONS, donation, "Cancelled", { email, role: "restaurant" }, { note: reason }
+      );
+      if (!transition.ok) continue;
+
+      const waiting = await requests
+        .find({ donationId: { $in: [donation._id, donation._id.toString()] }, status: "Pending" })
+        .toArray();
+      for (const request of waiting) {
+        await transitionStatus(requests, REQUEST_TRANSITIONS, request, "Rejected", SYSTEM_ACTOR, { note: "The restaurant closed their account" });
+        await notificationService.notify(
+          request.charityEmail, "request.rejected",
+          `Your request for "${donation.title}" was closed: the restaurant closed their account`,
+          { requestId: request._id, donationId: donation._id }
+        );
+      }
+    }
+  };
+
+  // Delete the account: personal data is removed, records other people rely on stay
+  // with the email and name replaced. The audit log is kept as written.
+  const deleteAccount = async (email) => {
+    const user = await findUser(email);
+
+    // an accepted pickup has someone on the other side counting on it
+    const inProgress = await Promise.all([
+      requests.countDocuments({ charityEmail: email, status: "Accepted" }),
+      donations.countDocuments({ restaurantEmail: email, status: "Accepted" }),
+      // partly claimed donations are still open, but charities are coming for the claimed part
+      requests.countDocuments({ restaurantEmail: email, status: "Accepted" }),
+    ]);
+    if (inProgress.some(Boolean)) {
+      throw new ApiError(409, "You have accepted pickups in progress, finish them before deleting your account");
+    }
+
+    await closeOpenWork(user);
+
+    const anonymous = deletedUserId(user);
+    const now = new Date();
+    // the email also sits in arrays: who moved a record along (statusHistory), claims,
+    // reviewer notes and report lists
+    const anonymizeIn = (collection, path, field) =>
+      collection.updateMany(
+        { [`${path}.${field}`]: email },
+        { $set: { [`${path}.$[entry].${field}`]: anonymous } },
+        { arrayFilters: [{ [`entry.${field}`]: email }] }
+      );
+
+    await Promise.all([
+      favorites.deleteMany({ ownerEmail: email }),
+      notifications.deleteMany({ recipientEmail: email }),
+      donationSchedules.deleteMany({ restaurantEmail: email }),
+      emailOutbox.deleteMany({ to: email }),
+      reviews.updateMany({ reviewerEmail: email }, { $set: { reviewerEmail: anonymous, reviewerName: DELETED_USER_NAME } }),
+      reviews.updateMany({ restaurantEmail: email }, { $set: { restaurantEmail: anonymous } }),
+      reviews.updateMany({ "moderation.by": email }, { $set: { "moderation.by": anonymous } }),
+      anonymizeIn(reviews, "reports", "reporterEmail"),
+      requests.updateMany(
+        { charityEmail: email },
+        { $set: { charityEmail: anonymous, charityName: DELETED_USER_NAME, charityImage: null } }
+      ),
+      requests.updateMany({ restaurantEmail: email }, { $set: { restaurantEmail: anonymous } }),
+      requests.updateMany(
+        { "handoff.receivedBy": email },
+        { $set: { "handoff.receivedBy": anonymous, "handoff.receivedByName": DELETED_USER_NAME } }
+      ),
+      requests.updateMany({ "handoff.handedOverBy": email }, { $set: { "handoff.handedOverBy": anonymous } }),
+      anonymizeIn(requests, "statusHistory", "by"),
+      donations.updateMany({ restaurantEmail: email }, { $set: { restaurantEmail: anonymous } }),
+      anonymizeIn(donations, "claims", "charityEmail"),
+      anonymizeIn(donations, "statusHistory", "by"),
+      roleRequests.updateMany({ email }, { $set: { email: anonymous, name: DELETED_USER_NAME } }),
+      restaurantRequests.updateMany(
+        { ownerEmail: email },
+        { $set: { ownerEmail: anonymous, restaurantEmail: null, phone: null } }
+      ),
+      // an admin's part in reviewing applications
+      ...[roleRequests, restaurantRequests].flatMap((applications) => [
+        applications.updateMany({ reviewedBy: email }, { $set: { reviewedBy: anonymous } }),
+        anonymizeIn(applications, "reviewNotes", "by"),
+        anonymizeIn(applications, "statusHistory", "by"),
+      ]),
+      restaurants.updateMany(
+        { ownerEmail: email },
+        { $set: { ownerEmail: anonymous, restaurantEmail: null, phone: null, status: "Deleted", updatedAt: now } }
+      ),
+      // payments are kept for bookkeeping
+      transactions.updateMany({ email }, { $set: { email: anonymous } }),
+    ]);
+    await users.deleteOne({ _id: user._id });
+
+    // last, so a failure above leaves the user able to sign in and try again
+    let authUserDeleted = true;
+    try {
+      const { uid } = await auth.getUserByEmail(email);
+      await auth.deleteUser(uid);
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") {
+        console.error(`❌ Failed to delete the Firebase user for ${email}:`, err);
+        authUserDeleted = false;
+      }
+    }
+
+    return { deleted: true, authUserDeleted };
+  };
+
+  return { exportData, deleteAccount };
+};
+
+module.exports = { createAccountService };
@@ -0,0 +1,205 @@
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/validation");
+const { transitionStatus } = require("../lib/lifecycle");
+const {
+  APPLICATION_KINDS,
+  APPLICATION_TRANSITIONS,
+  STATUSES_NEEDING_REASON,
+  CURRENT_APPLICATION_STATUSES,
+  APPLICANT_PROJECTION,
+  statusSlug,
+} = require("../lib/applications");
+const { upsertRestaurantFromApplication } = require("../lib/restaurants");
+
+// What the applicant hears about each review decision
+const DECISION_MESSAGES = {
+  "Needs Info": (name) => `${name} needs more information before it can be reviewed`,
+  Approved: (name, kind) =>
+    kind === "restaurant"
+      ? `${name} was approved, you can now post donations`
+      : `${name} was approved, you can now request donations`,
+  Rejected: (name) => `${name} was not approved`,
+  Revoked: (name) => `${name} was revoked`,
+};
+
+// One review workflow for charity (roleRequests) and restaurant (restaurantRequests) applications
+const createApplicationService = ({ collections, roleService, paymentService, notificationService, emailService, auditService }) => {
+  const { restaurants } = collections;
+
+  const collectionFor = (kind) => collections[APPLICATION_KINDS[kind].collection];
+
+  const findApplication = async (kind, id) => {
+    const application = await collectionFor(kind).findOne({ _id: new ObjectId(id) });
+    if (!application) {
+      throw new ApiError(404, "Application not found");
+    }
+    return application;
+  };
+
+  // The applicant's application of this kind that still counts (anything but Revoked)
+  const currentApplication = (kind, email) =>
+    collectionFor(kind).findOne(
+      { [APPLICATION_KINDS[kind].applicantField]: email, status: { $in: CURRENT_APPLICATION_STATUSES } },
+      { sort: { createdAt: -1 } }
+    );
+
+  // In-app notification for the applicant, with the reason when there is one
+  const notifyApplicant = async (kind, application, status, reason) => {
+    const { applicantField, nameField, eventPrefix } = APPLICATION_KINDS[kind];
+    const name = application[nameField] || `Your ${kind} application`;
+    const message = DECISION_MESSAGES[status](name, kind);
+
+    await notificationService.notify(
+      application[applicantField], `${eventPrefix}.${statusSlug(status)}`,
+      reason ? `${message}: ${reason}` : message,
+      { [`${APPLICATION_KINDS[kind].targetType}Id`]: application._id }
+    );
+  };
+
+  // Reviewer notes are internal; they are never shown to the applicant
+  const addNote = async (kind, id, note, actor) => {
+    const application = await findApplication(kind, id);
+    const { targetType, eventPrefix } = APPLICATION_KINDS[kind];
+    const entry = { note, by: actor.email, at: new Date() };
+    await collectionFor(kind).updateOne({ _id: application._id }, { $push: { reviewNotes: entry } });
+
+    await auditService.record({
+      actor,
+      action: `${eventPrefix}.note_added`,
+      target: { type: targetType, id: application._id },
+      note,
+    });
+    return entry;
+  };
+
+  // Move an application to Needs Info / Approved / Rejected / Revoked (admin) and apply
+  // what that means for the applicant's role. `reason` is shown to the applicant.
+  const review = async (kind, id, { status, reason = null, note = null }, actor) => {
+    const { applicantField, nameField, role, targetType, eventPrefix } = APPLICATION_KINDS[kind];
+    const collection = collectionFor(kind);
+    const application = await findApplication(kind, id);
+    const applicantEmail = application[applicantField];
+
+    if (STATUSES_NEEDING_REASON.includes(status) && !reason) {
+      throw new ApiError(400, `A reason is required to mark an application ${status}`);
+    }
+
+    const transition = await transitionStatus(collection, APPLICATION_TRANSITIONS, application, status, actor, {
+      note: reason,
+      set: { reason: status === "Approved" ? null : reason, reviewedBy: actor.email, reviewedAt: new Date() },
+    });
+    if (!transition.ok) {
+      throw new ApiError(transition.code, transition.message);
+    }
+    if (note) {
+      await addNote(kind, id, note, actor);
+    }
+
+    let restaurantId = null;
+    let refund = null;
+    if (status === "Approved") {
+      // the approved application becomes the owner's restaurant profile
+      if (kind === "restaurant") {
+        const restaurant = await upsertRestaurantFromApplication(restaurants, application);
+        restaurantId = restaurant._id;
+        await collection.updateOne({ _id: application._id }, { $set: { restaurantId } });
+      }
+      await roleService.grantRole(applicantEmail, role);
+    }
+
+    // give the role fee back
+    if (status === "Rejected" && kind === "charity") {
+      refund = await paymentService.refundRoleRequestPayment(application);
+    }
+
+    if (status === "Revoked") {
+      // other roles the applicant holds stay
+      await roleService.revokeRole(applicantEmail, role);
+      if (kind === "restaurant") {
+        await restaurants.updateOne({ ownerEmail: applicantEmail }, { $set: { status: "Inactive", updatedAt: new Date() } });
+      }
+    }
+
+    await auditService.record({
+      actor,
+      action: `${eventPrefix}.${statusSlug(status)}`,
+      target: { type: targetType, id: application._id },
+      before: { [applicantField]: applicantEmail, status: application.status },
+      after: {
+        [applicantField]: applicantEmail,
+        status,
+        ...(restaurantId && { restaurantId }),
+        ...(refund && { refund }),
+      },
+      note: reason,
+    });
+    await notifyApplicant(kind, application, status, reason);
+    await emailService.enqueue(`application_${statusSlug(status)}`, applicantEmail, {
+      name: application.name,
+      kind,
+      organization: application[nameField],
+      reason,
+      refunded: Boolean(refund) && refund.status !== "failed",
+    });
+
+    const updated = await collection.findOne({ _id: application._id });
+    return { application: updated, refund, restaurantId };
+  };
+
+  // The applicant answers a Needs Info or fixes a rejected application; it goes back to Pending.
+  // `changes` are the application fields to update. A rejected charity application had its fee
+  // refunded, so it needs a new payment (changes.transactionId).
+  const resubmit = async (kind, id, changes, email) => {
+    const { applicantField, nameField } = APPLICATION_KINDS[kind];
+    const collection = collectionFor(kind);
+    const application = await findApplication(kind, id);
+
+    if (application[applicantField] !== email) {
+      throw new ApiError(403, "You can only resubmit your own application");
+    }
+
+    const { transactionId, ...fields } = changes;
+    const set = { ...fields, reason: null, resubmittedAt: new Date() };
+
+    if (kind === "charity" && application.refundId) {
+      if (!transactionId) {
+        throw new ApiError(402, "The fee for this application was refunded, please pay again to resubmit");
+      }
+      const transaction = await paymentService.confirmPayment(transactionId, email, "charity-role");
+      if (!transaction) {
+        throw new ApiError(402, "Payment has not been confirmed for this email.");
+      }
+      const used = await collection.findOne({ transactionId });
+      if (used) throw new ApiError(409, "This payment has already been used.");
+
+      Object.assign(set, { transactionId, amount: transaction.amount });
+    }
+
+    const transition = await transitionStatus(
+      collection, APPLICATION_TRANSITIONS, application, "Pending", { email, role: "applicant" },
+      { note: "Resubmitted", set }
+    );
+    if (!transition.ok) {
+      throw new ApiError(transition.code, transition.message);
+    }
+    // a new payment replaces the refunded one
+    if (set.transactionId) {
+      await collection.updateOne(
+        { _id: application._id },
+        { $unset: { refundId: "", refundStatus: "", amountRefunded: "", refundError: "" } }
+      );
+    }
+
+    const updated = await collection.findOne({ _id: application._id }, { projection: APPLICANT_PROJECTION });
+    await emailService.enqueue("application_received", email, {
+      name: updated.name,
+      kind,
+      organization: updated[nameField],
+    });
+    return updated;
+  };
+
+  return { findApplication, currentApplication, addNote, review, resubmit };
+};
+
+module.exports = { createApplicationService };
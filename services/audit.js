@@ -0,0 +1,32 @@
+// Append-only audit log of admin and moderation actions. Entries are only ever
+// inserted; nothing in the API updates or deletes them.
+const createAuditService = ({ collections }) => {
+  const { auditLog } = collections;
+
+  // actor: { email, role }, target: { type, id }, before/after: the values that changed.
+  // Written after the action succeeded, so a failure here is logged and doesn't undo it.
+  const record = async ({ actor, action, target, before = null, after = null, note = null }) => {
+    const entry = {
+      actorEmail: actor.email,
+      actorRole: actor.role,
+      action,
+      targetType: target.type,
+      targetId: target.id ? String(target.id) : null,
+      before,
+      after,
+      note,
+      createdAt: new Date(),
+    };
+    try {
+      await auditLog.insertOne(entry);
+      return entry;
+    } catch (err) {
+      console.error(`❌ Failed to write ${action} audit entry:`, err);
+      return null;
+    }
+  };
+
+  return { record };
+};
+
+module.exports = { createAuditService };
@@ -0,0 +1,39 @@
+const { EMAIL_TEMPLATES } = require("./emailTemplates");
+
+// Transactional email: routes enqueue rendered messages into the outbox and
+// jobs/sendEmails.js delivers them in the background.
+const createEmailService = ({ collections }) => {
+  const { emailOutbox } = collections;
+
+  // Queue one templated email. Like notifications, a failure here is logged and never
+  // fails the request. `dedupeKey` makes repeated enqueues of the same email a no-op.
+  const enqueue = async (template, to, data, { dedupeKey } = {}) => {
+    if (!to) return null;
+    try {
+      const { subject, text, html } = EMAIL_TEMPLATES[template](data);
+      const now = new Date();
+      const message = {
+        template,
+        to,
+        subject,
+        text,
+        html,
+        ...(dedupeKey && { dedupeKey }),
+        status: "queued",
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+      };
+      const result = await emailOutbox.insertOne(message);
+      return { _id: result.insertedId, ...message };
+    } catch (err) {
+      if (err.code === 11000) return null; // already queued under this dedupeKey
+      console.error(`❌ Failed to queue ${template} email to ${to}:`, err);
+      return null;
+    }
+  };
+
+  return { enqueue };
+};
+
+module.exports = { createEmailService };
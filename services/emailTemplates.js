@@ -0,0 +1,90 @@
+// Transactional email templates. Each one turns the data the route enqueued
+// into { subject, text, html }; messages are rendered when they are enqueued.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// text paragraphs -> the same message as simple HTML
+const layout = (subject, paragraphs) => ({
+  subject,
+  text: [...paragraphs, "— The PlateShare team"].join("\n\n"),
+  html: [...paragraphs, "— The PlateShare team"].map((p) => `<p>${escapeHtml(p)}</p>`).join("\n"),
+});
+
+// "charity" / "restaurant" application wording
+const APPLICATION_KINDS = {
+  charity: "charity application",
+  restaurant: "restaurant application",
+};
+
+const formatAmount = (amount, currency) =>
+  `${(amount / 100).toFixed(2)} ${String(currency || "").toUpperCase()}`;
+
+const EMAIL_TEMPLATES = {
+  application_received: ({ name, kind, organization }) =>
+    layout(`We received your ${APPLICATION_KINDS[kind]}`, [
+      `Hi ${name || "there"},`,
+      `Thanks for applying${organization ? ` for ${organization}` : ""}. Your ${APPLICATION_KINDS[kind]} is now waiting for review, and we'll email you as soon as an admin has looked at it.`,
+    ]),
+
+  application_approved: ({ name, kind, organization }) =>
+    layout(`Your ${APPLICATION_KINDS[kind]} was approved`, [
+      `Hi ${name || "there"},`,
+      `Good news: your ${APPLICATION_KINDS[kind]}${organization ? ` for ${organization}` : ""} was approved.`,
+      kind === "restaurant"
+        ? "You can now post donations from your dashboard."
+        : "You can now request donations from restaurants near you.",
+    ]),
+
+  application_rejected: ({ name, kind, organization, reason, refunded }) =>
+    layout(`Your ${APPLICATION_KINDS[kind]} was not approved`, [
+      `Hi ${name || "there"},`,
+      `Unfortunately your ${APPLICATION_KINDS[kind]}${organization ? ` for ${organization}` : ""} was not approved.`,
+      ...(reason ? [`Reason: ${reason}`] : []),
+      ...(refunded ? ["The application fee has been refunded to your original payment method."] : []),
+      "You can update your application and resubmit it from your dashboard.",
+    ]),
+
+  application_needs_info: ({ name, kind, organization, reason }) =>
+    layout(`Your ${APPLICATION_KINDS[kind]} needs more information`, [
+      `Hi ${name || "there"},`,
+      `An admin reviewed your ${APPLICATION_KINDS[kind]}${organization ? ` for ${organization}` : ""} and needs a bit more information before deciding:`,
+      reason,
+      "Please update your application from your dashboard to send it back for review.",
+    ]),
+
+  application_revoked: ({ name, kind, organization, reason }) =>
+    layout(`Your ${APPLICATION_KINDS[kind]} was revoked`, [
+      `Hi ${name || "there"},`,
+      `Your approved ${APPLICATION_KINDS[kind]}${organization ? ` for ${organization}` : ""} was revoked and your account no longer has the ${kind} role.`,
+      ...(reason ? [`Reason: ${reason}`] : []),
+    ]),
+
+  request_accepted: ({ charityName, donationTitle, restaurantName, pickupTime, location, quantity }) =>
+    layout(`Your request for "${donationTitle}" was accepted`, [
+      `Hi ${charityName || "there"},`,
+      `${restaurantName || "The restaurant"} accepted your request for ${quantity ? `${quantity} of ` : ""}"${donationTitle}".`,
+      `Pickup: ${pickupTime || "see the donation details"}${location ? ` at ${location}` : ""}.`,
+      "Open the request in the app to get your pickup code, the restaurant will ask for it when you collect.",
+    ]),
+
+  pickup_confirmed: ({ restaurantName, donationTitle, charityName, handedOverBy, pickedUpAt }) =>
+    layout(`"${donationTitle}" was picked up`, [
+      `Hi ${restaurantName || "there"},`,
+      `"${donationTitle}" was handed over to ${charityName || "the charity"}${handedOverBy ? ` by ${handedOverBy}` : ""} on ${new Date(pickedUpAt).toUTCString()}.`,
+      "Thank you for helping keep good food out of the bin.",
+    ]),
+
+  payment_receipt: ({ amount, currency, description, transactionId, paidAt }) =>
+    layout("Your PlateShare payment receipt", [
+      `Thanks for your payment of ${formatAmount(amount, currency)}${description ? ` for the ${description.toLowerCase()}` : ""}.`,
+      `Transaction: ${transactionId}`,
+      `Date: ${new Date(paidAt).toUTCString()}`,
+    ]),
+};
+
+module.exports = { EMAIL_TEMPLATES };
@@ -0,0 +1,73 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Email transports. The outbox worker only calls send({ from, to, subject, text, html })
+// and reads the returned messageId, so tests can pass any object with that shape.
+// A thrown error with `permanent: true` is not retried.
+
+// SMTP rejects with 5xx codes for things a retry won't fix (bad address, refused sender)
+const isPermanentSmtpError = (err) => err.responseCode >= 500 && err.responseCode < 600;
+
+const createSmtpTransport = ({ url }) => {
+  const transporter = nodemailer.createTransport(url);
+  return {
+    send: async (message) => {
+      try {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      } catch (err) {
+        err.permanent = isPermanentSmtpError(err);
+        throw err;
+      }
+    },
+  };
+};
+
+// Development: one JSON file per message
+const createFileTransport = ({ dir }) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(message, null, 2));
+    return { messageId };
+  },
+});
+
+// Development: logs who it would go to, never the body (it can hold personal details)
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 To: ${message.to} | ${message.subject}`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+// EMAIL_TRANSPORT=smtp (SMTP_URL), file (EMAIL_FILE_DIR) or console (default outside production).
+// In production nothing is picked by default: this returns null and emails stay queued
+// until a transport is configured, instead of being logged and marked sent.
+const createTransportFromEnv = (env) => {
+  switch (env.EMAIL_TRANSPORT) {
+    case "smtp":
+      if (!env.SMTP_URL) {
+        throw new Error("EMAIL_TRANSPORT=smtp needs SMTP_URL");
+      }
+      return createSmtpTransport({ url: env.SMTP_URL });
+    case "file":
+      return createFileTransport({ dir: env.EMAIL_FILE_DIR || "./outbox" });
+    case "console":
+      return createConsoleTransport();
+    default:
+      if (env.NODE_ENV === "production") {
+        console.warn("⚠️ No EMAIL_TRANSPORT configured, emails will stay queued until one is set");
+        return null;
+      }
+      return createConsoleTransport();
+  }
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+};
@@ -0,0 +1,106 @@
+const { EventEmitter } = require("events");
+const { ObjectId } = require("mongodb");
+
+// Events are kept this long so a reconnecting client can catch up with Last-Event-ID
+const EVENT_RETENTION_SECONDS = 24 * 60 * 60;
+// Never replay more than this many missed events on one reconnect
+const MAX_REPLAYED_EVENTS = 500;
+// How often an open stream reads new events from the collection. On Vercel the request
+// that publishes an event and the open stream run in different instances.
+const EVENT_POLL_INTERVAL_MS = Number(process.env.EVENT_POLL_INTERVAL_MS) || 2000;
+// Instances' clocks and inserts don't line up exactly, so each read looks back this far
+// and skips what the stream already got
+const EVENT_POLL_OVERLAP_MS = 10 * 1000;
+
+// Real-time events for GET /events. Each event is stored, and open streams read what's
+// new for their audience ({ emails: [...], roles: [...] }) from the collection. Streams in
+// the process that published an event get it straight away.
+const createEventService = ({ collections }) => {
+  const { events } = collections;
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Like notifications, publishing never fails the request that caused it
+  const publish = async (type, data, audience) => {
+    const event = {
+      _id: new ObjectId(),
+      type,
+      data,
+      audience: {
+        emails: (audience.emails || []).filter(Boolean),
+        roles: audience.roles || [],
+      },
+      createdAt: new Date(),
+    };
+
+    try {
+      await events.insertOne(event);
+    } catch (err) {
+      console.error(`❌ Failed to store ${type} event:`, err);
+    }
+    emitter.emit("event", event);
+    return event;
+  };
+
+  const canSee = (subscriber, event) =>
+    event.audience.emails.includes(subscriber.email) || subscriber.roles.some((role) => event.audience.roles.includes(role));
+
+  const audienceFilter = (subscriber) => ({
+    $or: [{ "audience.emails": subscriber.email }, { "audience.roles": { $in: subscriber.roles } }],
+  });
+
+  // Call listener for every new event the subscriber ({ email, roles }) may see, once each.
+  // Returns the unsubscribe function.
+  const subscribe = (subscriber, listener) => {
+    const startedAt = Date.now();
+    // id => createdAt of what was delivered, forgotten once a read can't return it again
+    const delivered = new Map();
+    const deliver = (event) => {
+      const id = event._id.toString();
+      if (delivered.has(id) || !canSee(subscriber, event)) return;
+      delivered.set(id, event.createdAt.getTime());
+      listener(event);
+    };
+    emitter.on("event", deliver);
+
+    let reading = false;
+    const readNew = async () => {
+      if (reading) return;
+      reading = true;
+      const since = Math.max(startedAt, Date.now() - EVENT_POLL_OVERLAP_MS);
+      try {
+        const recent = await events
+          .find({ createdAt: { $gte: new Date(since) }, ...audienceFilter(subscriber) })
+          .sort({ _id: 1 })
+          .limit(MAX_REPLAYED_EVENTS)
+          .toArray();
+        recent.forEach(deliver);
+        for (const [id, at] of delivered) {
+          if (at < since) delivered.delete(id);
+        }
+      } catch (err) {
+        console.error("❌ Failed to read new events:", err);
+      } finally {
+        reading = false;
+      }
+    };
+    const timer = setInterval(readNew, EVENT_POLL_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      emitter.off("event", deliver);
+    };
+  };
+
+  // Stored events after lastEventId that the subscriber may see, oldest first
+  const missedSince = (subscriber, lastEventId) =>
+    events
+      .find({ _id: { $gt: new ObjectId(lastEventId) }, ...audienceFilter(subscriber) })
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAYED_EVENTS)
+      .toArray();
+
+  return { publish, subscribe, missedSince };
+};
+
+module.exports = { EVENT_RETENTION_SECONDS, createEventService };
@@ -0,0 +1,69 @@
+// Everything the API can notify about. Users can switch any of these off.
+const NOTIFICATION_TYPES = [
+  "request.created",
+  "request.accepted",
+  "request.rejected",
+  "request.cancelled",
+  "request.picked_up",
+  "role_request.needs_info",
+  "role_request.approved",
+  "role_request.rejected",
+  "role_request.revoked",
+  "restaurant_request.needs_info",
+  "restaurant_request.approved",
+  "restaurant_request.rejected",
+  "restaurant_request.revoked",
+  "donation.verified",
+  "donation.cancelled",
+  "donation.expired",
+];
+
+// In-app notifications, written by the routes that change statuses
+const createNotificationService = ({ collections }) => {
+  const { notifications, users } = collections;
+
+  // Users only store the types they turned off (mutedNotificationTypes), everything else is on.
+  // A list rather than a { type: false } map: the dots in type names would nest the keys.
+  const getPreferences = async (email) => {
+    const user = await users.findOne({ email }, { projection: { mutedNotificationTypes: 1 } });
+    const muted = user?.mutedNotificationTypes || [];
+    return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, !muted.includes(type)]));
+  };
+
+  const updatePreferences = async (email, changes) => {
+    const entries = Object.entries(changes);
+    const mute = entries.filter(([, enabled]) => !enabled).map(([type]) => type);
+    const unmute = entries.filter(([, enabled]) => enabled).map(([type]) => type);
+    // one update can't both add to and pull from the same array
+    if (mute.length) {
+      await users.updateOne({ email }, { $addToSet: { mutedNotificationTypes: { $each: mute } } });
+    }
+    if (unmute.length) {
+      await users.updateOne({ email }, { $pull: { mutedNotificationTypes: { $in: unmute } } });
+    }
+    return getPreferences(email);
+  };
+
+  // Notify one user, unless they turned this type off. A notification is a side effect
+  // of whatever the route did, so a failure here is logged and never fails the request.
+  const notify = async (recipientEmail, type, message, data = {}) => {
+    if (!recipientEmail) return null;
+    try {
+      const preferences = await getPreferences(recipientEmail);
+      if (!preferences[type]) return null;
+
+      const notification = { recipientEmail, type, message, data, read: false, createdAt: new Date() };
+      const result = await notifications.insertOne(notification);
+      return { _id: result.insertedId, ...notification };
+    } catch (err) {
+      console.error(`❌ Failed to send ${type} notification to ${recipientEmail}:`, err);
+      return null;
+    }
+  };
+
+  const unreadCount = (email) => notifications.countDocuments({ recipientEmail: email, read: false });
+
+  return { notify, unreadCount, getPreferences, updatePreferences };
+};
+
+module.exports = { NOTIFICATION_TYPES, createNotificationService };
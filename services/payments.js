@@ -0,0 +1,186 @@
+// Server-side price catalog, keyed by payment purpose (amounts in cents).
+// Clients only pick a purpose; the amount and currency always come from here.
+const PAYMENT_CATALOG = {
+  "charity-role": { amount: 2500, currency: "usd", description: "Charity role fee" },
+};
+
+// make sure the catalog price was actually paid
+const paidInFull = (payment) => {
+  const price = PAYMENT_CATALOG[payment.purpose];
+  return Boolean(price) && payment.currency === price.currency && payment.amount >= price.amount;
+};
+
+// Stripe keeps a refunded PaymentIntent at "succeeded", so a late or replayed success must not
+// overwrite these
+const REFUNDED_STATUSES = ["refunded", "partially_refunded"];
+
+// Payment bookkeeping on top of a payment provider (see stripePayments.js)
+const createPaymentService = ({ collections, payments, emailService }) => {
+  const { transactions, roleRequests } = collections;
+
+  // Store (or update) the transaction for a PaymentIntent as reported by Stripe.
+  // A refunded transaction is returned as it is, and so is a succeeded one for a failure:
+  // Stripe doesn't send events in order, and a retried payment can fail before it succeeds.
+  const recordPaymentIntent = async (paymentIntent, status, extra = {}) => {
+    const now = new Date();
+    const keep = status === "failed" ? [...REFUNDED_STATUSES, "succeeded"] : REFUNDED_STATUSES;
+    let result;
+    try {
+      result = await transactions.findOneAndUpdate(
+        { transactionId: paymentIntent.id, status: { $nin: keep }, refundId: { $exists: false } },
+        {
+          $set: {
+            email: paymentIntent.metadata?.email || null,
+            amount: paymentIntent.amount_received || paymentIntent.amount,
+            currency: paymentIntent.currency,
+            purpose: paymentIntent.metadata?.purpose || null,
+            status,
+            verified: true,
+            updatedAt: now,
+            ...extra,
+          },
+          $setOnInsert: { transactionId: paymentIntent.id, createdAt: now },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+    } catch (err) {
+      // the filter didn't match a transaction it must keep, so the upsert hit the unique transactionId
+      if (err.code !== 11000) throw err;
+      return transactions.findOne({ transactionId: paymentIntent.id });
+    }
+
+    // webhook and confirmPayment can both record the same payment, the receipt goes out once
+    if (status === "succeeded") {
+      await emailService.enqueue("payment_receipt", result.email, {
+        amount: result.amount,
+        currency: result.currency,
+        description: PAYMENT_CATALOG[result.purpose]?.description,
+        transactionId: result.transactionId,
+        paidAt: result.createdAt,
+      }, { dedupeKey: `payment-receipt:${result.transactionId}` });
+    }
+    return result;
+  };
+
+  // Apply a verified Stripe event to the transactions collection
+  const handleEvent = async (event) => {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        await recordPaymentIntent(object, "succeeded", { lastEventId: event.id });
+        break;
+
+      case "payment_intent.payment_failed":
+        await recordPaymentIntent(object, "failed", {
+          lastEventId: event.id,
+          failureMessage: object.last_payment_error?.message || null,
+        });
+        break;
+
+      case "charge.refunded":
+        // charges only point at their PaymentIntent, so update by id
+        if (object.payment_intent) {
+          const refundStatus = object.refunded ? "refunded" : "partially_refunded";
+          await transactions.updateOne(
+            { transactionId: object.payment_intent },
+            {
+              $set: {
+                status: refundStatus,
+                refundStatus,
+                amountRefunded: object.amount_refunded,
+                refundedAt: new Date(),
+                lastEventId: event.id,
+                updatedAt: new Date(),
+              },
+            }
+          );
+          await roleRequests.updateMany(
+            { transactionId: object.payment_intent },
+            { $set: { refundStatus, amountRefunded: object.amount_refunded } }
+          );
+        }
+        break;
+
+      default:
+        // other event types are acknowledged but ignored
+        break;
+    }
+  };
+
+  // Returns the succeeded transaction for this PaymentIntent + email, or null (also for one
+  // that was refunded). Falls back to asking Stripe directly in case the webhook hasn't
+  // arrived yet, or a failed payment was retried and went through since.
+  const confirmPayment = async (transactionId, email, purpose) => {
+    if (!transactionId || !email) return null;
+
+    const existing = await transactions.findOne({ transactionId });
+    // refunded: Stripe's "succeeded" doesn't bring it back
+    if (existing && (REFUNDED_STATUSES.includes(existing.status) || existing.refundId)) return null;
+    if (existing?.verified && existing.status === "succeeded") {
+      if (existing.email !== email) return null;
+      if (purpose && existing.purpose !== purpose) return null;
+      return paidInFull(existing) ? existing : null;
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await payments.retrievePaymentIntent(transactionId);
+    } catch (err) {
+      return null;
+    }
+
+    if (paymentIntent.status !== "succeeded") return null;
+    if (paymentIntent.metadata?.email !== email) return null;
+    if (purpose && paymentIntent.metadata?.purpose !== purpose) return null;
+    if (!paidInFull({
+      purpose: paymentIntent.metadata?.purpose,
+      currency: paymentIntent.currency,
+      amount: paymentIntent.amount_received,
+    })) {
+      return null;
+    }
+
+    return recordPaymentIntent(paymentIntent, "succeeded");
+  };
+
+  // Refund the payment behind a role request and store the outcome on both records
+  const refundRoleRequestPayment = async (roleRequest) => {
+    if (!roleRequest?.transactionId || roleRequest.refundId) return null;
+
+    let refund;
+    try {
+      refund = await payments.createRefund(
+        { payment_intent: roleRequest.transactionId },
+        // a resubmitted request can be paid for (and refunded) again, once per payment
+        { idempotencyKey: `role-request-${roleRequest._id}-${roleRequest.transactionId}-refund` }
+      );
+    } catch (err) {
+      console.error("❌ Refund failed:", err);
+      await roleRequests.updateOne(
+        { _id: roleRequest._id },
+        { $set: { refundStatus: "failed", refundError: err.message } }
+      );
+      return { status: "failed", error: err.message };
+    }
+
+    const refundFields = {
+      refundId: refund.id,
+      refundStatus: refund.status,
+      amountRefunded: refund.amount,
+    };
+    await roleRequests.updateOne(
+      { _id: roleRequest._id },
+      { $set: refundFields, $unset: { refundError: "" } }
+    );
+    await transactions.updateOne(
+      { transactionId: roleRequest.transactionId },
+      { $set: { ...refundFields, updatedAt: new Date() } }
+    );
+    return { id: refund.id, status: refund.status, amount: refund.amount };
+  };
+
+  return { recordPaymentIntent, handleEvent, confirmPayment, refundRoleRequestPayment };
+};
+
+module.exports = { PAYMENT_CATALOG, createPaymentService };
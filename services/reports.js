@@ -0,0 +1,171 @@
+const PDFDocument = require("pdfkit");
+const { estimateImpact, KG_PER_MEAL, CO2E_KG_PER_FOOD_KG } = require("../lib/impact");
+const { formatQuantity } = require("../lib/quantity");
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+// Restaurant impact reports: every pickup in a date range with its receiving charity,
+// plus totals and estimated meals / weight / CO₂e saved. A donation shared between
+// several charities gives one row per pickup, each with the part that charity claimed.
+const createReportService = ({ collections }) => {
+  const { donations, requests, restaurants } = collections;
+
+  const restaurantReport = async (restaurantEmail, range) => {
+    const restaurantDonations = await donations
+      .find({ restaurantEmail }, { projection: { title: 1, foodType: 1, quantity: 1, unit: 1, restaurantName: 1 } })
+      .toArray();
+    const donationById = new Map(restaurantDonations.map((donation) => [String(donation._id), donation]));
+
+    // requests may hold the donationId as a string or an ObjectId
+    const ids = restaurantDonations.map((donation) => donation._id);
+    const pickups = await requests.aggregate([
+      { $match: { donationId: { $in: [...ids, ...ids.map(String)] }, status: "Picked Up" } },
+      {
+        $addFields: {
+          pickedUpAt: {
+            $ifNull: [
+              {
+                $getField: {
+                  field: "at",
+                  input: {
+                    $last: {
+                      $filter: { input: { $ifNull: ["$statusHistory", []] }, cond: { $eq: ["$$this.status", "Picked Up"] } },
+                    },
+                  },
+                },
+              },
+              "$updatedAt",
+            ],
+          },
+        },
+      },
+      { $match: Object.keys(range).length ? { pickedUpAt: range } : {} },
+      { $sort: { pickedUpAt: 1 } },
+    ]).toArray();
+
+    const rows = pickups.map((pickup) => {
+      const donation = donationById.get(String(pickup.donationId));
+      // requests from before partial claims took the whole donation
+      const amount = pickup.quantity ?? donation.quantity;
+      return {
+        pickedUpAt: pickup.pickedUpAt,
+        donationId: donation._id,
+        title: donation.title,
+        foodType: donation.foodType,
+        quantity: formatQuantity(amount, donation.unit),
+        charityName: pickup.charityName || null,
+        charityEmail: pickup.charityEmail || null,
+        ...estimateImpact(amount, donation.unit),
+      };
+    });
+
+    const totals = rows.reduce(
+      (sum, row) => ({
+        pickups: sum.pickups + 1,
+        meals: sum.meals + row.meals,
+        weightKg: sum.weightKg + row.weightKg,
+        co2eKg: sum.co2eKg + row.co2eKg,
+      }),
+      { pickups: 0, meals: 0, weightKg: 0, co2eKg: 0 }
+    );
+    totals.donations = new Set(rows.map((row) => String(row.donationId))).size;
+    totals.weightKg = round(totals.weightKg);
+    totals.co2eKg = round(totals.co2eKg);
+    totals.charities = new Set(rows.map((row) => row.charityEmail).filter(Boolean)).size;
+
+    const restaurant = await restaurants.findOne({ ownerEmail: restaurantEmail });
+
+    return {
+      restaurantName: restaurant?.restaurantName || restaurantDonations[0]?.restaurantName || restaurantEmail,
+      restaurantEmail,
+      from: range.$gte || null,
+      to: range.$lte || null,
+      generatedAt: new Date(),
+      rows,
+      totals,
+    };
+  };
+
+  return { restaurantReport };
+};
+
+// ============================
+//  CSV / PDF RENDERING
+// ============================
+
+const CSV_COLUMNS = [
+  ["Pickup date", (row) => formatDate(row.pickedUpAt)],
+  ["Donation", (row) => row.title],
+  ["Food type", (row) => row.foodType],
+  ["Quantity", (row) => row.quantity],
+  ["Charity", (row) => row.charityName],
+  ["Charity email", (row) => row.charityEmail],
+  ["Est. meals", (row) => row.meals],
+  ["Est. weight (kg)", (row) => round(row.weightKg)],
+  ["Est. CO2e saved (kg)", (row) => round(row.co2eKg)],
+];
+
+// Quote when needed, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const reportToCsv = (report) => {
+  const line = (cells) => cells.map(csvCell).join(",");
+  const { totals } = report;
+  return [
+    line(CSV_COLUMNS.map(([header]) => header)),
+    ...report.rows.map((row) => line(CSV_COLUMNS.map(([, value]) => value(row)))),
+    "",
+    line(["Totals", `${totals.donations} donations`, `${totals.pickups} pickups`, "", `${totals.charities} charities`, "", totals.meals, totals.weightKg, totals.co2eKg]),
+  ].join("\r\n") + "\r\n";
+};
+
+// Stream the report as a PDF into `output` (e.g. the response)
+const writeReportPdf = (report, output) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(output);
+
+  const period = `${formatDate(report.from) || "the beginning"} to ${formatDate(report.to) || formatDate(report.generatedAt)}`;
+  doc.fontSize(18).text("PlateShare food rescue report");
+  doc.moveDown(0.5);
+  doc.fontSize(11).text(`${report.restaurantName} (${report.restaurantEmail})`);
+  doc.text(`Period: ${period}`);
+  doc.text(`Generated: ${report.generatedAt.toUTCString()}`);
+
+  const { totals } = report;
+  doc.moveDown();
+  doc.fontSize(13).text("Summary");
+  doc.fontSize(11)
+    .text(`Donations picked up: ${totals.donations}`)
+    .text(`Pickups: ${totals.pickups}`)
+    .text(`Charities served: ${totals.charities}`)
+    .text(`Estimated meals: ${totals.meals}`)
+    .text(`Estimated food weight: ${totals.weightKg} kg`)
+    .text(`Estimated CO2e avoided: ${totals.co2eKg} kg`);
+  doc.fontSize(8).fillColor("gray")
+    .text(`Estimates assume ${KG_PER_MEAL} kg of food per meal and ${CO2E_KG_PER_FOOD_KG} kg CO2e avoided per kg of food rescued.`)
+    .fillColor("black");
+
+  doc.moveDown();
+  doc.fontSize(13).text("Donations");
+  doc.fontSize(9);
+  if (!report.rows.length) {
+    doc.text("No donations were picked up in this period.");
+  }
+  for (const row of report.rows) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").text(`${formatDate(row.pickedUpAt)}  ${row.title}`);
+    doc.font("Helvetica").text(
+      `${row.foodType} · ${row.quantity} · to ${row.charityName || row.charityEmail || "unknown charity"}`
+      + ` · ~${row.meals} meals, ${round(row.weightKg)} kg, ${round(row.co2eKg)} kg CO2e`
+    );
+  }
+
+  doc.end();
+};
+
+module.exports = { createReportService, reportToCsv, writeReportPdf };
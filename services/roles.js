@@ -0,0 +1,62 @@
+const { ROLES, userRoles, primaryRole } = require("../lib/roles");
+
+// Role changes, mirrored into Firebase custom claims ({ roles: [...] }) so requireRole
+// can read them from the verified token instead of loading the user on every request
+const createRoleService = ({ collections, auth }) => {
+  const { users } = collections;
+
+  // The users collection stays the source of truth, so a failed sync is logged, not thrown.
+  // When a role was taken away the refresh tokens are revoked too: the client can't mint
+  // a new ID token with the old claims and the user has to sign in again once the current
+  // one expires (admin routes refuse it right away, see requireRole).
+  const syncClaims = async (user, { revoked = false } = {}) => {
+    try {
+      const { uid, customClaims } = await auth.getUserByEmail(user.email);
+      await auth.setCustomUserClaims(uid, { ...customClaims, roles: userRoles(user) });
+      if (revoked) {
+        await auth.revokeRefreshTokens(uid);
+      }
+      await users.updateOne({ _id: user._id }, { $set: { claimsSyncedAt: new Date() } });
+      return true;
+    } catch (err) {
+      console.error(`❌ Failed to sync role claims for ${user.email}:`, err);
+      return false;
+    }
+  };
+
+  // Apply a roles update, keep users.role (the main role) in line and sync the claims.
+  // claimsSyncedAt moves with the roles even if the sync fails, so requireRole reads
+  // the user for tokens issued before the change.
+  const saveRoles = async (filter, update, { revoked }) => {
+    const updated = await users.findOneAndUpdate(filter, update, { returnDocument: "after" });
+    if (!updated) return null;
+
+    const user = await users.findOneAndUpdate(
+      { _id: updated._id },
+      { $set: { role: primaryRole(userRoles(updated)), claimsSyncedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    await syncClaims(user, { revoked });
+    return user;
+  };
+
+  const grantRole = (email, role) => saveRoles({ email }, { $addToSet: { roles: role } }, { revoked: false });
+
+  // null when the user doesn't hold the role
+  const revokeRole = (email, role) => saveRoles({ email, roles: role }, { $pull: { roles: role } }, { revoked: true });
+
+  // Replace every role a user holds (admin). Returns { before, user }, or null when there is no such user.
+  const setRoles = async (userId, roles) => {
+    const before = await users.findOne({ _id: userId });
+    if (!before) return null;
+
+    const next = ROLES.filter((role) => roles.includes(role));
+    const revoked = userRoles(before).some((role) => !next.includes(role));
+    const user = await saveRoles({ _id: userId }, { $set: { roles: next } }, { revoked });
+    return { before, user };
+  };
+
+  return { syncClaims, grantRole, revokeRole, setRoles };
+};
+
+module.exports = { createRoleService };
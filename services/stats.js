@@ -0,0 +1,191 @@
+// Aggregations behind /admin/stats. Every method takes a date range
+// ({ $gte, $lte }, possibly empty) that applies to when things happened.
+
+const STATS_BUCKETS = ["day", "week", "month"];
+const DEFAULT_LEADERBOARD_SIZE = 10;
+
+// statusHistory entries with the given status, as [{ at, role }]
+const historyEntries = (status) => ({
+  $filter: { input: { $ifNull: ["$statusHistory", []] }, cond: { $eq: ["$$this.status", status] } },
+});
+
+// range matches everything when it's empty
+const inRange = (field, range) => (Object.keys(range).length ? { [field]: range } : {});
+
+const median = (sorted) => {
+  if (!sorted.length) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const createStatsService = ({ collections }) => {
+  const { donations, requests, transactions } = collections;
+
+  // Donations posted / expired and pickups per day, week or month. Pickups are counted from
+  // requests: a donation shared between charities is picked up once by each of them.
+  const donationTimeline = async (range, bucket) => {
+    const rows = await donations.aggregate([
+      {
+        $project: {
+          events: {
+            $concatArrays: [
+              [{ type: "posted", at: "$createdAt" }],
+              { $map: { input: historyEntries("Expired"), in: { type: "expired", at: "$$this.at" } } },
+            ],
+          },
+        },
+      },
+      {
+        $unionWith: {
+          coll: requests.collectionName,
+          pipeline: [
+            { $match: { status: "Picked Up" } },
+            { $project: { events: { $map: { input: historyEntries("Picked Up"), in: { type: "pickedUp", at: "$$this.at" } } } } },
+          ],
+        },
+      },
+      { $unwind: "$events" },
+      { $match: { "events.at": { $type: "date" }, ...inRange("events.at", range) } },
+      {
+        $group: {
+          _id: {
+            period: { $dateTrunc: { date: "$events.at", unit: bucket, startOfWeek: "monday" } },
+            type: "$events.type",
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.period": 1 } },
+    ]).toArray();
+
+    const periods = new Map();
+    for (const { _id, count } of rows) {
+      const key = _id.period.toISOString();
+      if (!periods.has(key)) periods.set(key, { period: _id.period, posted: 0, pickedUp: 0, expired: 0 });
+      periods.get(key)[_id.type] = count;
+    }
+    return [...periods.values()];
+  };
+
+  // Restaurants and charities with the most completed pickups
+  const leaderboard = async (range, limit = DEFAULT_LEADERBOARD_SIZE) => {
+    const top = (emailField, nameField) => [
+      { $group: { _id: `$${emailField}`, name: { $first: `$${nameField}` }, pickups: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { pickups: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, email: "$_id", name: 1, pickups: 1 } },
+    ];
+
+    const [result] = await requests.aggregate([
+      { $match: { status: "Picked Up" } },
+      { $addFields: { pickedUpAt: { $last: historyEntries("Picked Up") } } },
+      { $match: inRange("pickedUpAt.at", range) },
+      {
+        $facet: {
+          restaurants: top("restaurantEmail", "restaurantName"),
+          charities: top("charityEmail", "charityName"),
+        },
+      },
+    ]).toArray();
+    return result;
+  };
+
+  // Of the requests made in the range: how many restaurants accepted vs rejected,
+  // and the median time from request to pickup
+  const requestOutcomes = async (range) => {
+    const [result] = await requests.aggregate([
+      { $match: inRange("createdAt", range) },
+      {
+        $project: {
+          accepted: { $gt: [{ $size: historyEntries("Accepted") }, 0] },
+          // system rejections (another request won, donation expired) aren't a restaurant's decision
+          rejected: {
+            $gt: [{ $size: { $filter: { input: historyEntries("Rejected"), cond: { $eq: ["$$this.role", "restaurant"] } } } }, 0],
+          },
+          // null unless picked up
+          minutesToPickup: {
+            $let: {
+              vars: { pickup: { $last: historyEntries("Picked Up") } },
+              in: { $dateDiff: { startDate: "$createdAt", endDate: "$$pickup.at", unit: "minute" } },
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          accepted: { $sum: { $cond: ["$accepted", 1, 0] } },
+          rejected: { $sum: { $cond: ["$rejected", 1, 0] } },
+          pickupMinutes: { $push: "$minutesToPickup" },
+        },
+      },
+    ]).toArray();
+
+    if (!result) {
+      return { total: 0, accepted: 0, rejected: 0, acceptanceRate: null, medianMinutesToPickup: null, pickedUp: 0 };
+    }
+
+    const decided = result.accepted + result.rejected;
+    const pickupMinutes = result.pickupMinutes
+      .filter((minutes) => minutes !== null)
+      .sort((a, b) => a - b);
+    return {
+      total: result.total,
+      accepted: result.accepted,
+      rejected: result.rejected,
+      acceptanceRate: decided ? result.accepted / decided : null,
+      pickedUp: pickupMinutes.length,
+      medianMinutesToPickup: median(pickupMinutes),
+    };
+  };
+
+  // Role-fee payments, net of refunds, per currency and per bucket
+  const revenue = async (range, bucket) => {
+    const net = { $subtract: ["$amount", { $ifNull: ["$amountRefunded", 0] }] };
+    const [result] = await transactions.aggregate([
+      {
+        $match: {
+          purpose: "charity-role",
+          status: { $in: ["succeeded", "refunded", "partially_refunded"] },
+          ...inRange("createdAt", range),
+        },
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: "$currency",
+                payments: { $sum: 1 },
+                gross: { $sum: "$amount" },
+                refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+                net: { $sum: net },
+              },
+            },
+            { $project: { _id: 0, currency: "$_id", payments: 1, gross: 1, refunded: 1, net: 1 } },
+          ],
+          timeline: [
+            {
+              $group: {
+                _id: {
+                  period: { $dateTrunc: { date: "$createdAt", unit: bucket, startOfWeek: "monday" } },
+                  currency: "$currency",
+                },
+                net: { $sum: net },
+              },
+            },
+            { $sort: { "_id.period": 1 } },
+            { $project: { _id: 0, period: "$_id.period", currency: "$_id.currency", net: 1 } },
+          ],
+        },
+      },
+    ]).toArray();
+    return result;
+  };
+
+  return { donationTimeline, leaderboard, requestOutcomes, revenue };
+};
+
+module.exports = { STATS_BUCKETS, createStatsService };
@@ -0,0 +1,17 @@
+const Stripe = require("stripe");
+
+// Payment provider backed by Stripe. createApp() only needs these four methods,
+// so tests can pass a fake provider with the same shape instead.
+const createStripePayments = ({ secretKey, webhookSecret }) => {
+  const stripe = Stripe(secretKey);
+
+  return {
+    createPaymentIntent: (params) => stripe.paymentIntents.create(params),
+    retrievePaymentIntent: (id) => stripe.paymentIntents.retrieve(id),
+    createRefund: (params, options) => stripe.refunds.create(params, options),
+    // throws if the Stripe-Signature header doesn't match the raw body
+    constructEvent: (rawBody, signature) => stripe.webhooks.constructEvent(rawBody, signature, webhookSecret),
+  };
+};
+
+module.exports = { createStripePayments };